@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+const { parseArgs } = require("util");
+const { REPO_ROOT } = require("./lib/xodball");
+const { SCHEMA_VERSION, assertMatchesSchema } = require("./lib/schema");
+const { BOARD_LIST_PATH, readBoardList, buildBoardReport, renderMatrixMarkdown, renderMatrixHtml } = require("./lib/boards");
+
+const INDEX_DIR = path.resolve(REPO_ROOT, "index");
+const BOARDS_DIR = "boards";
+const MATRIX_FILE = "matrix.md";
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+async function writeIfChanged(filePath, text) {
+  const current = await fs.readFile(filePath, "utf8").catch(() => null);
+  if (current === text) return false;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, text, "utf8");
+  return true;
+}
+
+async function removeStaleViews(dir, keep) {
+  const files = await fs.readdir(dir).catch(() => []);
+  const stale = files.filter((file) => file.endsWith(".json") && !keep.has(file));
+  await Promise.all(stale.map((file) => fs.unlink(path.join(dir, file))));
+  return stale;
+}
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      "index-dir": { type: "string" },
+      "board-list": { type: "string" },
+      html: { type: "string" },
+    },
+  });
+
+  return {
+    indexDir: values["index-dir"] ? path.resolve(values["index-dir"]) : INDEX_DIR,
+    boardListPath: values["board-list"] ? path.resolve(values["board-list"]) : BOARD_LIST_PATH,
+    htmlPath: values.html ? path.resolve(values.html) : null,
+  };
+}
+
+async function run(options) {
+  const indexPath = path.join(options.indexDir, "index.json");
+  const indexData = await readJson(indexPath, null);
+  if (!indexData || !Array.isArray(indexData.libraries)) {
+    throw new Error(`Invalid index file at ${indexPath}`);
+  }
+  const boardList = await readBoardList(options.boardListPath);
+  assertMatchesSchema("boardList", boardList);
+
+  const report = buildBoardReport(indexData, boardList);
+  const boardsDir = path.join(options.indexDir, BOARDS_DIR);
+  for (const [id, view] of Object.entries(report.boards)) {
+    const payload = { schemaVersion: SCHEMA_VERSION, generatedAt: indexData.generatedAt, ...view };
+    assertMatchesSchema("boardView", payload);
+    await writeIfChanged(path.join(boardsDir, `${id}.json`), `${JSON.stringify(payload, null, 2)}\n`);
+  }
+  const stale = await removeStaleViews(boardsDir, new Set(Object.keys(report.boards).map((id) => `${id}.json`)));
+  await writeIfChanged(path.join(boardsDir, MATRIX_FILE), renderMatrixMarkdown(report));
+  if (options.htmlPath) await writeIfChanged(options.htmlPath, renderMatrixHtml(report));
+
+  if (report.unknownBoards.length > 0) {
+    console.warn(`Board ids not in the board list: ${report.unknownBoards.map((item) => item.board).join(", ")}`);
+  }
+  console.log(
+    `Boards: ${Object.keys(report.boards).length} views, ${report.conflicts.length} conflicting entries`
+      + (stale.length > 0 ? `, removed ${stale.length} stale views` : "")
+  );
+  return report;
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => run(parseCli(process.argv.slice(2))))
+    .catch((error) => {
+      console.error(`Board views failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+const { parseArgs } = require("util");
+const { REPO_ROOT, MIRROR_STATE_PATH, readMirrorArtifacts } = require("./lib/xodball");
+const { updateFeedState, buildFeedEntries, renderAtomFeed } = require("./lib/atom-feed");
+
+const INDEX_DIR = path.resolve(REPO_ROOT, "index");
+const FEED_FILE = "feed.xml";
+const FEED_STATE_FILE = "feed-state.json";
+const OWNER_FEEDS_DIR = "feeds";
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+async function writeIfChanged(filePath, text) {
+  const current = await fs.readFile(filePath, "utf8").catch(() => null);
+  if (current === text) return false;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, text, "utf8");
+  return true;
+}
+
+async function removeStaleOwnerFeeds(dir, keep) {
+  const files = await fs.readdir(dir).catch(() => []);
+  const stale = files.filter((file) => file.endsWith(".xml") && !keep.has(file));
+  await Promise.all(stale.map((file) => fs.unlink(path.join(dir, file))));
+  return stale;
+}
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      "index-dir": { type: "string" },
+      "mirror-state": { type: "string" },
+      limit: { type: "string" },
+    },
+  });
+  const limit = values.limit === undefined ? undefined : Number.parseInt(values.limit, 10);
+  if (limit !== undefined && !(limit > 0)) throw new Error("--limit must be a positive integer");
+
+  return {
+    indexDir: values["index-dir"] ? path.resolve(values["index-dir"]) : INDEX_DIR,
+    mirrorStatePath: values["mirror-state"] ? path.resolve(values["mirror-state"]) : MIRROR_STATE_PATH,
+    limit,
+  };
+}
+
+async function run(options) {
+  const indexPath = path.join(options.indexDir, "index.json");
+  const indexData = await readJson(indexPath, null);
+  if (!indexData || !Array.isArray(indexData.libraries)) {
+    throw new Error(`Invalid index file at ${indexPath}`);
+  }
+
+  const statePath = path.join(options.indexDir, FEED_STATE_FILE);
+  const mirrorArtifacts = await readMirrorArtifacts(options.mirrorStatePath);
+  const { state, added } = updateFeedState(await readJson(statePath, {}), indexData, mirrorArtifacts);
+  const entries = buildFeedEntries(state, indexData, mirrorArtifacts);
+
+  await writeIfChanged(statePath, `${JSON.stringify(state, null, 2)}\n`);
+  await writeIfChanged(
+    path.join(options.indexDir, FEED_FILE),
+    renderAtomFeed({
+      id: "all",
+      title: "XOD library versions",
+      selfPath: `index/${FEED_FILE}`,
+      entries,
+      limit: options.limit,
+    })
+  );
+
+  const owners = [...new Set(entries.map((entry) => entry.owner))]
+    .filter((owner) => !/^\.+$/.test(owner))
+    .sort((a, b) => a.localeCompare(b));
+  const ownerDir = path.join(options.indexDir, OWNER_FEEDS_DIR);
+  for (const owner of owners) {
+    await writeIfChanged(
+      path.join(ownerDir, `${owner}.xml`),
+      renderAtomFeed({
+        id: `owner/${owner}`,
+        title: `XOD library versions by ${owner}`,
+        selfPath: `index/${OWNER_FEEDS_DIR}/${owner}.xml`,
+        entries: entries.filter((entry) => entry.owner === owner),
+        limit: options.limit,
+      })
+    );
+  }
+  const stale = await removeStaleOwnerFeeds(ownerDir, new Set(owners.map((owner) => `${owner}.xml`)));
+
+  console.log(
+    `Feed: ${added.length} newly observed versions, ${entries.length} entries, ${owners.length} owner feeds`
+      + (stale.length > 0 ? `, removed ${stale.length} stale owner feeds` : "")
+  );
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => run(parseCli(process.argv.slice(2))))
+    .catch((error) => {
+      console.error(`Feed generation failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { run };
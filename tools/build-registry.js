@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+const { parseArgs } = require("util");
+const { REPO_ROOT } = require("./lib/xodball");
+const { assertMatchesSchema } = require("./lib/schema");
+const { sha256 } = require("./lib/mirror-verify");
+const { MANIFEST_FILE, planStaticRegistry } = require("./lib/static-registry");
+
+const DEFAULT_OUT_DIR = path.resolve(REPO_ROOT, "dist", "registry");
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+async function writeIfChanged(filePath, content) {
+  const current = await fs.readFile(filePath).catch(() => null);
+  if (current && current.equals(content)) return false;
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, content);
+  return true;
+}
+
+async function listFiles(dir, relativeDir = "") {
+  const entries = await fs.readdir(path.join(dir, relativeDir), { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const entry of entries) {
+    const relativePath = path.posix.join(relativeDir, entry.name);
+    if (entry.isDirectory()) files.push(...(await listFiles(dir, relativePath)));
+    else files.push(relativePath);
+  }
+  return files;
+}
+
+async function removeEmptyDirs(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    if (entry.isDirectory()) await removeEmptyDirs(path.join(dir, entry.name));
+  }
+  if ((await fs.readdir(dir).catch(() => [null])).length === 0) await fs.rmdir(dir);
+}
+
+async function readArtifact(artifact, rootDir) {
+  const content = await fs.readFile(path.resolve(rootDir, artifact.path));
+  if (sha256(content) !== artifact.sha256) {
+    throw new Error(
+      `${artifact.path} does not match its recorded sha256; run \`node tools/mirror-xodio.js --verify --repair\` first`
+    );
+  }
+  return content;
+}
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      out: { type: "string" },
+      root: { type: "string" },
+    },
+  });
+  return {
+    outDir: values.out ? path.resolve(values.out) : DEFAULT_OUT_DIR,
+    rootDir: values.root ? path.resolve(values.root) : REPO_ROOT,
+  };
+}
+
+async function run(options) {
+  const indexData = await readJson(path.join(options.rootDir, "index", "index.json"), { libraries: [] });
+  const mirrorIndexPath = path.join(options.rootDir, "mirror", "index.json");
+  const mirrorIndex = await readJson(mirrorIndexPath, null);
+  if (!mirrorIndex || !Array.isArray(mirrorIndex.artifacts)) {
+    throw new Error(`Invalid mirror manifest at ${mirrorIndexPath}`);
+  }
+
+  const existing = await listFiles(options.outDir);
+  if (existing.length > 0 && !existing.includes(MANIFEST_FILE)) {
+    throw new Error(`${options.outDir} is not empty and has no ${MANIFEST_FILE}; refusing to overwrite it`);
+  }
+
+  const { manifest, files } = planStaticRegistry(indexData, mirrorIndex);
+  assertMatchesSchema("registryManifest", manifest);
+
+  let written = 0;
+  for (const file of files) {
+    const content = file.source ? await readArtifact(file.source, options.rootDir) : Buffer.from(file.content, "utf8");
+    if (await writeIfChanged(path.join(options.outDir, file.path), content)) written += 1;
+  }
+
+  const planned = new Set(files.map((file) => file.path));
+  const stale = existing.filter((file) => !planned.has(file));
+  await Promise.all(stale.map((file) => fs.unlink(path.join(options.outDir, file))));
+  if (stale.length > 0) await removeEmptyDirs(options.outDir);
+
+  console.log(
+    `Static registry: ${manifest.libraries.length} libraries, ${files.length} files in ${options.outDir}`
+      + ` (${written} written, ${stale.length} stale removed)`
+  );
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => run(parseCli(process.argv.slice(2))))
+    .catch((error) => {
+      console.error(`Static registry build failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { run };
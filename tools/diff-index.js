@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+const { execFile } = require("child_process");
+const { parseArgs, promisify } = require("util");
+const { REPO_ROOT } = require("./lib/xodball");
+const { diffIndexes, isEmptyReport, formatMarkdown } = require("./lib/index-diff");
+const { SCHEMA_VERSION, assertMatchesSchema } = require("./lib/schema");
+
+const INDEX_PATH = path.resolve(REPO_ROOT, "index", "index.json");
+const INDEX_GIT_PATH = "index/index.json";
+const DEFAULT_KEEP_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const USAGE = `Usage: node tools/diff-index.js [options]
+
+Compares two generations of index/index.json and prints a Markdown change report.
+
+Options:
+  --from <path>           Older index file
+  --from-rev <rev>        Read the older index from a git revision (default: HEAD)
+  --to <path>             Newer index file (default: index/index.json)
+  --to-rev <rev>          Read the newer index from a git revision
+  --json                  Print the report as JSON
+  --markdown-out <path>   Also write the Markdown report to a file
+  --json-out <path>       Also write the JSON report to a file
+  --history <path>        Prepend a non-empty report to a published history file
+  --keep-days <n>         Drop history reports older than n days (default: ${DEFAULT_KEEP_DAYS})
+  -h, --help              Show this help`;
+
+const execFileAsync = promisify(execFile);
+
+async function readIndexFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return { libraries: [] };
+    throw new Error(`Unable to read ${filePath}: ${error.message}`);
+  }
+}
+
+async function readIndexAtRevision(rev) {
+  try {
+    const { stdout } = await execFileAsync("git", ["show", `${rev}:${INDEX_GIT_PATH}`], {
+      cwd: REPO_ROOT,
+      maxBuffer: 256 * 1024 * 1024,
+    });
+    return JSON.parse(stdout);
+  } catch (error) {
+    if (/does not exist|exists on disk, but not in/.test(error.stderr || "")) return { libraries: [] };
+    throw new Error(`Unable to read ${INDEX_GIT_PATH} at ${rev}: ${(error.stderr || error.message).trim()}`);
+  }
+}
+
+async function readHistory(filePath) {
+  try {
+    const history = JSON.parse(await fs.readFile(filePath, "utf8"));
+    return Array.isArray(history.reports) ? history.reports : [];
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+function pruneHistory(reports, keepDays, now) {
+  const cutoff = now.getTime() - keepDays * DAY_MS;
+  return reports.filter((report) => {
+    const time = Date.parse(report.to && report.to.generatedAt);
+    return Number.isNaN(time) || time >= cutoff;
+  });
+}
+
+async function writeText(filePath, text) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, text, "utf8");
+}
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      from: { type: "string" },
+      "from-rev": { type: "string" },
+      to: { type: "string" },
+      "to-rev": { type: "string" },
+      json: { type: "boolean", default: false },
+      "markdown-out": { type: "string" },
+      "json-out": { type: "string" },
+      history: { type: "string" },
+      "keep-days": { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.from && values["from-rev"]) throw new Error("--from and --from-rev cannot be combined");
+  if (values.to && values["to-rev"]) throw new Error("--to and --to-rev cannot be combined");
+  const keepDays = values["keep-days"] === undefined ? DEFAULT_KEEP_DAYS : Number.parseInt(values["keep-days"], 10);
+  if (!(keepDays > 0)) throw new Error("--keep-days must be a positive integer");
+
+  return { ...values, keepDays };
+}
+
+async function loadSide(filePath, rev, defaults) {
+  if (filePath) return { indexData: await readIndexFile(path.resolve(filePath)), ref: null };
+  if (rev) return { indexData: await readIndexAtRevision(rev), ref: rev };
+  return loadSide(defaults.path, defaults.rev, {});
+}
+
+async function run() {
+  const options = parseCli(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const before = await loadSide(options.from, options["from-rev"], { rev: "HEAD" });
+  const after = await loadSide(options.to, options["to-rev"], { path: INDEX_PATH });
+  const report = diffIndexes(before.indexData, after.indexData, { from: before.ref, to: after.ref });
+  const markdown = formatMarkdown(report);
+
+  if (options["markdown-out"]) await writeText(path.resolve(options["markdown-out"]), markdown);
+  if (options["json-out"]) await writeText(path.resolve(options["json-out"]), `${JSON.stringify(report, null, 2)}\n`);
+
+  if (options.history) {
+    const historyPath = path.resolve(options.history);
+    const now = new Date();
+    const previous = await readHistory(historyPath);
+    const history = {
+      schemaVersion: SCHEMA_VERSION,
+      generatedAt: now.toISOString(),
+      reports: pruneHistory(isEmptyReport(report) ? previous : [report, ...previous], options.keepDays, now),
+    };
+    assertMatchesSchema("changes", history);
+    await writeText(historyPath, `${JSON.stringify(history, null, 2)}\n`);
+  }
+
+  process.stdout.write(options.json ? `${JSON.stringify(report, null, 2)}\n` : markdown);
+}
+
+run().catch((error) => {
+  console.error(`Index diff failed: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,127 @@
+const { toVersionKey } = require("./xodball");
+
+const FEED_BASE_URL = process.env.XOD_FEED_BASE_URL
+  || "https://raw.githubusercontent.com/JoyfulOak/xod2-library-index/main/";
+const XOD_LIBS_BASE_URL = "https://xod.io/libs/";
+const TAG_PREFIX = "tag:github.com,2024:JoyfulOak/xod2-library-index";
+const DEFAULT_ENTRY_LIMIT = 100;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function toTimestamp(value) {
+  const time = Date.parse(value);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function mirrorPathFor(id, version) {
+  return `mirror/libs/${id}/${toVersionKey(version)}.xodball.json`;
+}
+
+function bootstrapTimestamp(lib, version, mirrorArtifacts, fallback) {
+  const artifact = mirrorArtifacts[`${lib.id}@${toVersionKey(version)}`];
+  return (artifact && toTimestamp(artifact.mirroredAt))
+    || (version === lib.latest && toTimestamp(lib.updatedAt))
+    || fallback;
+}
+
+function updateFeedState(state, indexData, mirrorArtifacts = {}) {
+  const seen = { ...((state && state.versions) || {}) };
+  const bootstrap = Object.keys(seen).length === 0;
+  const observedAt = toTimestamp(indexData.generatedAt) || new Date().toISOString();
+  const added = [];
+
+  for (const lib of indexData.libraries || []) {
+    for (const version of lib.versions || []) {
+      const key = `${lib.id}@${version}`;
+      if (seen[key]) continue;
+      seen[key] = bootstrap ? bootstrapTimestamp(lib, version, mirrorArtifacts, observedAt) : observedAt;
+      added.push(key);
+    }
+  }
+
+  return {
+    state: {
+      versions: Object.fromEntries(
+        Object.keys(seen).sort((a, b) => a.localeCompare(b)).map((key) => [key, seen[key]])
+      ),
+    },
+    added,
+  };
+}
+
+function buildFeedEntries(state, indexData, mirrorArtifacts = {}) {
+  const libraries = new Map((indexData.libraries || []).map((lib) => [lib.id, lib]));
+
+  return Object.keys(state.versions)
+    .map((key) => {
+      const at = key.lastIndexOf("@");
+      const id = key.slice(0, at);
+      const version = key.slice(at + 1);
+      const lib = libraries.get(id);
+      if (!lib || !(lib.versions || []).includes(version)) return null;
+      const artifact = mirrorArtifacts[`${id}@${toVersionKey(version)}`];
+      return {
+        key,
+        id,
+        owner: id.split("/")[0],
+        version,
+        summary: lib.summary || "",
+        published: state.versions[key],
+        // The content-addressed object never changes once written, unlike a re-mirrored lookup path.
+        xodballPath: (artifact && artifact.object) || mirrorPathFor(id, version),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.published.localeCompare(a.published) || a.key.localeCompare(b.key));
+}
+
+function renderEntry(entry, baseUrl) {
+  const pageUrl = `${XOD_LIBS_BASE_URL}${entry.id}/`;
+  const xodballUrl = `${baseUrl}${entry.xodballPath || mirrorPathFor(entry.id, entry.version)}`;
+  return [
+    "  <entry>",
+    `    <id>${escapeXml(`${TAG_PREFIX}:${entry.key}`)}</id>`,
+    `    <title>${escapeXml(entry.key)}</title>`,
+    `    <published>${entry.published}</published>`,
+    `    <updated>${entry.published}</updated>`,
+    `    <author><name>${escapeXml(entry.owner)}</name></author>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(pageUrl)}"/>`,
+    `    <link rel="enclosure" type="application/json" href="${escapeXml(xodballUrl)}"/>`,
+    ...(entry.summary ? [`    <summary>${escapeXml(entry.summary)}</summary>`] : []),
+    `    <content type="text">${escapeXml(`Install ${entry.key}. Mirrored xodball: ${xodballUrl}`)}</content>`,
+    "  </entry>",
+  ].join("\n");
+}
+
+function renderAtomFeed({ id, title, selfPath, entries, baseUrl = FEED_BASE_URL, limit = DEFAULT_ENTRY_LIMIT }) {
+  const shown = entries.slice(0, limit);
+  const updated = shown.length > 0 ? shown[0].published : "1970-01-01T00:00:00.000Z";
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(`${TAG_PREFIX}:${id}`)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <updated>${updated}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(`${baseUrl}${selfPath}`)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${XOD_LIBS_BASE_URL}"/>`,
+    "  <generator>xod2-library-index</generator>",
+    ...shown.map((entry) => renderEntry(entry, baseUrl)),
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  FEED_BASE_URL,
+  escapeXml,
+  mirrorPathFor,
+  updateFeedState,
+  buildFeedEntries,
+  renderAtomFeed,
+};
@@ -0,0 +1,274 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { REPO_ROOT } = require("./xodball");
+const { COMPATIBILITY_STATUSES } = require("./overlay");
+
+const BOARD_LIST_PATH = path.resolve(REPO_ROOT, "index", "board-list.json");
+const BOARD_STATUSES = COMPATIBILITY_STATUSES;
+const SUMMARY_LISTS = { workingBoards: "working", brokenBoards: "broken", untestedBoards: "untested" };
+// When several records disagree on one board, the more cautious status wins.
+const STATUS_PRECEDENCE = ["broken", "working", "untested"];
+
+async function readBoardList(filePath = BOARD_LIST_PATH) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return { boards: {} };
+    throw error;
+  }
+}
+
+function toBoardKey(value) {
+  return typeof value === "string" ? value.trim().toLowerCase().replace(/[\s_]+/g, "-") : "";
+}
+
+// Returns the canonical id for a board id or alias, or null for unknown boards.
+function createBoardResolver(boardList) {
+  const boards = (boardList && boardList.boards) || {};
+  const byKey = new Map();
+  Object.keys(boards).forEach((id) => {
+    [id, ...(boards[id].aliases || [])].forEach((name) => {
+      const key = toBoardKey(name);
+      if (byKey.has(key) && byKey.get(key) !== id) {
+        throw new Error(`Board alias "${name}" is claimed by both ${byKey.get(key)} and ${id}`);
+      }
+      byKey.set(key, id);
+    });
+  });
+  return (value) => byKey.get(toBoardKey(value)) || null;
+}
+
+function pickStatus(statuses) {
+  return STATUS_PRECEDENCE.find((status) => statuses.includes(status)) || null;
+}
+
+// Merges boardCompatibility with compatibilitySummary lists, which may name
+// boards that have no boardCompatibility entry. Aliases collapse into their
+// canonical board; overlay keys the sync already merged are expanded from
+// `claims`. Claims that disagree on the status or on the notes are a conflict.
+function collectBoardStatuses(lib, resolveBoard = () => null) {
+  const boards = {};
+  const claim = (raw, status, source, notes) => {
+    const board = resolveBoard(raw) || raw;
+    boards[board] = boards[board] || { board, claims: [] };
+    boards[board].claims.push({
+      status,
+      source,
+      ...(raw !== board ? { board: raw } : {}),
+      ...(notes ? { notes } : {}),
+    });
+  };
+
+  Object.entries(lib.boardCompatibility || {}).forEach(([board, entry]) => {
+    const claims = entry.claims || [{ board, status: entry.status, notes: entry.notes }];
+    claims.forEach((item) => claim(item.board, item.status, "boardCompatibility", item.notes));
+  });
+  Object.entries(SUMMARY_LISTS).forEach(([list, status]) => {
+    ((lib.compatibilitySummary || {})[list] || []).forEach((board) => claim(board, status, list));
+  });
+
+  return Object.values(boards)
+    .sort((a, b) => a.board.localeCompare(b.board))
+    .map(({ board, claims }) => {
+      const statuses = [...new Set(claims.map((item) => item.status))];
+      const detailed = claims.filter((item) => item.source === "boardCompatibility");
+      const status = pickStatus(detailed.length > 0 ? detailed.map((item) => item.status) : statuses);
+      const notes = [...new Set(detailed.filter((item) => item.notes).map((item) => item.notes))];
+      const counted = detailed.find((item) => item.status === status && item.notes);
+      return {
+        board,
+        status,
+        ...(counted ? { notes: counted.notes } : {}),
+        conflict: statuses.length > 1 || notes.length > 1 ? claims : null,
+      };
+    });
+}
+
+function buildBoardReport(indexData, boardList) {
+  const boards = (boardList && boardList.boards) || {};
+  const resolveBoard = createBoardResolver(boardList);
+  const views = Object.fromEntries(
+    Object.keys(boards).sort((a, b) => a.localeCompare(b)).map((id) => [id, {
+      board: { id, name: boards[id].name, mcu: boards[id].mcu },
+      counts: Object.fromEntries(BOARD_STATUSES.map((status) => [status, 0])),
+      libraries: [],
+      conflicts: [],
+    }])
+  );
+  const unknown = {};
+  const conflicts = [];
+
+  (indexData.libraries || []).forEach((lib) => {
+    collectBoardStatuses(lib, resolveBoard).forEach((entry) => {
+      if (entry.conflict) conflicts.push({ id: lib.id, board: entry.board, claims: entry.conflict });
+      const view = views[entry.board];
+      if (!view) {
+        unknown[entry.board] = [...(unknown[entry.board] || []), lib.id];
+        return;
+      }
+      if (entry.conflict) view.conflicts.push({ id: lib.id, claims: entry.conflict });
+      view.counts[entry.status] += 1;
+      view.libraries.push({
+        id: lib.id,
+        latest: lib.latest,
+        status: entry.status,
+        ...(entry.notes ? { notes: entry.notes } : {}),
+      });
+    });
+  });
+
+  Object.values(views).forEach((view) => {
+    view.libraries.sort((a, b) =>
+      BOARD_STATUSES.indexOf(a.status) - BOARD_STATUSES.indexOf(b.status) || a.id.localeCompare(b.id)
+    );
+  });
+
+  return {
+    boards: views,
+    unknownBoards: Object.keys(unknown)
+      .sort((a, b) => a.localeCompare(b))
+      .map((board) => ({ board, libraries: unknown[board] })),
+    conflicts,
+  };
+}
+
+function matrixRows(report) {
+  const columns = Object.keys(report.boards).filter((id) => report.boards[id].libraries.length > 0);
+  const cells = {};
+  columns.forEach((board) => {
+    report.boards[board].libraries.forEach((lib) => {
+      cells[lib.id] = { ...cells[lib.id], [board]: lib.status };
+    });
+  });
+  const rows = Object.keys(cells)
+    .sort((a, b) => a.localeCompare(b))
+    .map((id) => ({ id, cells: columns.map((board) => cells[id][board] || "") }));
+  return { columns, rows };
+}
+
+function escapeMarkdown(text) {
+  return String(text).replace(/[|\\`*_]/g, "\\$&").replace(/\s+/g, " ");
+}
+
+function describeClaim(claim) {
+  const source = claim.board ? `${claim.source} as ${claim.board}` : claim.source;
+  return `${claim.status} (${source})${claim.notes ? ` "${claim.notes}"` : ""}`;
+}
+
+function renderMatrixMarkdown(report) {
+  const { columns, rows } = matrixRows(report);
+  const lines = [
+    "# Board Compatibility",
+    "",
+    "| Board | MCU | Working | Broken | Untested |",
+    "| --- | --- | ---: | ---: | ---: |",
+    ...Object.values(report.boards).map(({ board, counts }) =>
+      `| \`${board.id}\` ${escapeMarkdown(board.name)} | ${board.mcu} | ${BOARD_STATUSES.map((status) => counts[status]).join(" | ")} |`
+    ),
+  ];
+
+  if (rows.length > 0) {
+    lines.push(
+      "",
+      "## Matrix",
+      "",
+      `| Library | ${columns.map((board) => `\`${board}\``).join(" | ")} |`,
+      `| --- | ${columns.map(() => "---").join(" | ")} |`,
+      ...rows.map((row) => `| \`${row.id}\` | ${row.cells.join(" | ")} |`)
+    );
+  }
+  if (report.conflicts.length > 0) {
+    lines.push(
+      "",
+      "## Conflicts",
+      "",
+      ...report.conflicts.map((item) =>
+        `- \`${item.id}\` on \`${item.board}\`: ${escapeMarkdown(item.claims.map(describeClaim).join(", "))}`
+      )
+    );
+  }
+  if (report.unknownBoards.length > 0) {
+    lines.push(
+      "",
+      "## Unknown Board Ids",
+      "",
+      ...report.unknownBoards.map((item) =>
+        `- \`${escapeMarkdown(item.board)}\`: ${item.libraries.map((id) => `\`${id}\``).join(", ")}`
+      )
+    );
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function renderMatrixHtml(report) {
+  const { columns, rows } = matrixRows(report);
+  const cell = (status) => (status ? `<td class="${status}">${status}</td>` : "<td></td>");
+  const list = (items) => `<ul>\n${items.map((item) => `  <li>${item}</li>`).join("\n")}\n</ul>`;
+  const sections = [
+    "<h1>Board Compatibility</h1>",
+    "<table>",
+    "<tr><th>Board</th><th>MCU</th><th>Working</th><th>Broken</th><th>Untested</th></tr>",
+    ...Object.values(report.boards).map(({ board, counts }) =>
+      `<tr><td><code>${escapeHtml(board.id)}</code> ${escapeHtml(board.name)}</td><td>${escapeHtml(board.mcu)}</td>`
+        + `${BOARD_STATUSES.map((status) => `<td>${counts[status]}</td>`).join("")}</tr>`
+    ),
+    "</table>",
+  ];
+
+  if (rows.length > 0) {
+    sections.push(
+      "<h2>Matrix</h2>",
+      "<table>",
+      `<tr><th>Library</th>${columns.map((board) => `<th><code>${escapeHtml(board)}</code></th>`).join("")}</tr>`,
+      ...rows.map((row) => `<tr><td><code>${escapeHtml(row.id)}</code></td>${row.cells.map(cell).join("")}</tr>`),
+      "</table>"
+    );
+  }
+  if (report.conflicts.length > 0) {
+    sections.push("<h2>Conflicts</h2>", list(report.conflicts.map((item) =>
+      `<code>${escapeHtml(item.id)}</code> on <code>${escapeHtml(item.board)}</code>: `
+        + escapeHtml(item.claims.map(describeClaim).join(", "))
+    )));
+  }
+  if (report.unknownBoards.length > 0) {
+    sections.push("<h2>Unknown Board Ids</h2>", list(report.unknownBoards.map((item) =>
+      `<code>${escapeHtml(item.board)}</code>: ${item.libraries.map((id) => `<code>${escapeHtml(id)}</code>`).join(", ")}`
+    )));
+  }
+
+  return [
+    "<!DOCTYPE html>",
+    "<html>",
+    "<head>",
+    '<meta charset="utf-8">',
+    "<title>XOD Board Compatibility</title>",
+    "<style>td, th { padding: 2px 8px; } .working { background: #dfd; } .broken { background: #fdd; } .untested { background: #eee; }</style>",
+    "</head>",
+    "<body>",
+    ...sections,
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  BOARD_LIST_PATH,
+  BOARD_STATUSES,
+  STATUS_PRECEDENCE,
+  readBoardList,
+  createBoardResolver,
+  pickStatus,
+  collectBoardStatuses,
+  buildBoardReport,
+  renderMatrixMarkdown,
+  renderMatrixHtml,
+};
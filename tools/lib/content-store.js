@@ -0,0 +1,102 @@
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { REPO_ROOT } = require("./xodball");
+
+const OBJECTS_PATH = "mirror/objects";
+
+function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+function objectPathFor(hash) {
+  return `${OBJECTS_PATH}/${hash.slice(0, 2)}/${hash}.xodball.json`;
+}
+
+async function writeFileAtomic(absolutePath, content) {
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  const tmpPath = `${absolutePath}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  await fs.writeFile(tmpPath, content);
+  await fs.rename(tmpPath, absolutePath);
+}
+
+async function storeObject(content, hash, rootDir = REPO_ROOT) {
+  const objectPath = objectPathFor(hash);
+  const absolutePath = path.resolve(rootDir, objectPath);
+  try {
+    if (sha256(await fs.readFile(absolutePath)) === hash) return { object: objectPath, created: false };
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+
+  await writeFileAtomic(absolutePath, content);
+  return { object: objectPath, created: true };
+}
+
+// Every xodball is stored once under its sha256 in mirror/objects, however
+// many owner/lib/version paths share it. The lookup path stays a regular
+// copy, because raw file hosts, GitHub Pages and checkouts without symlink
+// support serve symlinks as their link text; git keeps one blob for both.
+async function writeArtifactContent(artifactPath, content, rootDir = REPO_ROOT) {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content, "utf8");
+  const hash = sha256(buffer);
+  const { object } = await storeObject(buffer, hash, rootDir);
+  await writeFileAtomic(path.resolve(rootDir, artifactPath), buffer);
+  return { object, sha256: hash, bytes: buffer.length };
+}
+
+// Adds the content store to a mirror written without it. Lookup paths that
+// an earlier layout made symlinks become regular files again.
+async function migrateToContentStore(artifacts, rootDir = REPO_ROOT) {
+  const next = { ...artifacts };
+  const report = { migrated: [], skipped: [] };
+
+  for (const key of Object.keys(artifacts).sort((a, b) => a.localeCompare(b))) {
+    const artifact = artifacts[key];
+    const absolutePath = path.resolve(rootDir, artifact.path);
+    let stat;
+    let content;
+    try {
+      stat = await fs.lstat(absolutePath);
+      content = await fs.readFile(absolutePath);
+    } catch (error) {
+      if (error.code === "ENOENT") continue;
+      throw error;
+    }
+    if (sha256(content) !== artifact.sha256) {
+      report.skipped.push(key);
+      continue;
+    }
+
+    const { object, created } = await storeObject(content, artifact.sha256, rootDir);
+    if (stat.isSymbolicLink()) await writeFileAtomic(absolutePath, content);
+    if (!created && !stat.isSymbolicLink() && artifact.object === object) continue;
+    next[key] = { ...artifact, object };
+    report.migrated.push(key);
+  }
+
+  return { artifacts: next, ...report };
+}
+
+function buildDuplicateClusters(artifacts) {
+  const byHash = new Map();
+  for (const [key, artifact] of Object.entries(artifacts)) {
+    if (!byHash.has(artifact.sha256)) byHash.set(artifact.sha256, { sha256: artifact.sha256, bytes: artifact.bytes, artifacts: [] });
+    byHash.get(artifact.sha256).artifacts.push(key);
+  }
+
+  return [...byHash.values()]
+    .filter((cluster) => cluster.artifacts.length > 1)
+    .map((cluster) => ({ ...cluster, artifacts: cluster.artifacts.sort((a, b) => a.localeCompare(b)) }))
+    .sort((a, b) => b.artifacts.length - a.artifacts.length || a.sha256.localeCompare(b.sha256));
+}
+
+module.exports = {
+  OBJECTS_PATH,
+  sha256,
+  objectPathFor,
+  storeObject,
+  writeArtifactContent,
+  migrateToContentStore,
+  buildDuplicateClusters,
+};
@@ -0,0 +1,96 @@
+const { REPO_ROOT, toVersionKey, readXodball, listPatches, listNodes } = require("./xodball");
+
+const BUILTIN_NODE_PREFIXES = ["xod/patch-nodes/"];
+
+function parseNodeType(type) {
+  if (typeof type !== "string" || type.startsWith("@/")) return null;
+  if (BUILTIN_NODE_PREFIXES.some((prefix) => type.startsWith(prefix))) return null;
+
+  const parts = type.split("/");
+  if (parts.length < 3 || parts.some((part) => part === "")) return null;
+  return {
+    id: `${parts[0]}/${parts[1]}`.toLowerCase(),
+    node: parts.slice(2).join("/"),
+  };
+}
+
+function extractDependencies(xodball, ownId) {
+  const byId = {};
+
+  listPatches(xodball).forEach((patch) => {
+    listNodes(patch).forEach((node) => {
+      const ref = parseNodeType(node.type);
+      if (!ref || ref.id === ownId) return;
+      byId[ref.id] = byId[ref.id] || new Set();
+      byId[ref.id].add(ref.node);
+    });
+  });
+
+  return Object.keys(byId)
+    .sort((a, b) => a.localeCompare(b))
+    .map((id) => ({ id, nodes: [...byId[id]].sort((a, b) => a.localeCompare(b)) }));
+}
+
+async function buildDependencyGraph(libraries, artifacts, rootDir = REPO_ROOT) {
+  const knownIds = new Set(libraries.map((lib) => lib.id));
+  const graph = {};
+  const dependents = {};
+  const missing = {};
+
+  for (const lib of libraries) {
+    const dependencies = {};
+
+    for (const version of lib.versions) {
+      const artifact = artifacts[`${lib.id}@${toVersionKey(version)}`];
+      if (!artifact) continue;
+
+      let xodball = null;
+      try {
+        xodball = await readXodball(artifact, rootDir);
+      } catch (error) {
+        console.warn(`Dependency extraction failed for ${lib.id}@${version}: ${error.message}`);
+      }
+      if (!xodball) continue;
+
+      dependencies[version] = extractDependencies(xodball, lib.id);
+      dependencies[version].forEach((dep) => {
+        if (knownIds.has(dep.id)) {
+          dependents[dep.id] = dependents[dep.id] || new Set();
+          dependents[dep.id].add(lib.id);
+          return;
+        }
+        missing[dep.id] = missing[dep.id] || new Set();
+        missing[dep.id].add(`${lib.id}@${version}`);
+      });
+    }
+
+    graph[lib.id] = {
+      dependencies,
+      missingDependencies: [
+        ...new Set(
+          Object.values(dependencies)
+            .flat()
+            .map((dep) => dep.id)
+            .filter((id) => !knownIds.has(id))
+        ),
+      ].sort((a, b) => a.localeCompare(b)),
+    };
+  }
+
+  Object.keys(graph).forEach((id) => {
+    graph[id].dependents = [...(dependents[id] || [])].sort((a, b) => a.localeCompare(b));
+  });
+
+  return {
+    libraries: graph,
+    missing: Object.keys(missing)
+      .sort((a, b) => a.localeCompare(b))
+      .map((id) => ({ id, requiredBy: [...missing[id]].sort((a, b) => a.localeCompare(b)) })),
+  };
+}
+
+module.exports = {
+  parseNodeType,
+  extractDependencies,
+  buildDependencyGraph,
+};
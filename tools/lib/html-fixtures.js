@@ -0,0 +1,87 @@
+const fs = require("fs").promises;
+const path = require("path");
+
+const MANIFEST_FILE = "manifest.json";
+
+function fixtureFileName(url, extension = ".html") {
+  const parsed = new URL(url);
+  const slug = `${parsed.host}${parsed.pathname}${parsed.search}`
+    .replace(/[^a-z0-9.-]+/gi, "_")
+    .replace(/^_+|_+$/g, "");
+  return `${slug}${extension}`;
+}
+
+async function readFixtureManifest(dir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+}
+
+async function writeFixtureManifest(dir, manifest) {
+  const sorted = Object.fromEntries(
+    Object.keys(manifest)
+      .sort((a, b) => a.localeCompare(b))
+      .map((url) => [url, manifest[url]])
+  );
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, MANIFEST_FILE), `${JSON.stringify(sorted, null, 2)}\n`, "utf8");
+}
+
+function isNotModified(entry, headers) {
+  return Boolean(
+    (entry.etag && headers["if-none-match"] === entry.etag)
+      || (entry.lastModified && headers["if-modified-since"] === entry.lastModified)
+  );
+}
+
+// Entries recorded with an ETag or Last-Modified answer a matching
+// conditional request with 304, like the live server.
+async function replayFixture(dir, manifest, url, headers = {}) {
+  const entry = manifest[url];
+  if (!entry) {
+    throw new Error(`No recorded fixture for ${url} in ${dir}`);
+  }
+  if (isNotModified(entry, headers)) {
+    return { ok: false, status: 304, url };
+  }
+  if (!entry.file) {
+    return { ok: false, status: entry.status, url };
+  }
+  const text = await fs.readFile(path.join(dir, entry.file), "utf8");
+  return {
+    ok: entry.status >= 200 && entry.status < 300,
+    status: entry.status,
+    url,
+    text,
+    etag: entry.etag || null,
+    lastModified: entry.lastModified || null,
+  };
+}
+
+async function recordFixture(dir, manifest, result) {
+  if (!result.ok) {
+    manifest[result.url] = { status: result.status };
+    return;
+  }
+  const isJson = typeof result.contentType === "string" && result.contentType.includes("json");
+  const file = fixtureFileName(result.url, isJson ? ".json" : ".html");
+  await fs.mkdir(dir, { recursive: true });
+  await fs.writeFile(path.join(dir, file), result.text, "utf8");
+  manifest[result.url] = {
+    status: result.status,
+    file,
+    ...(result.etag ? { etag: result.etag } : {}),
+    ...(result.lastModified ? { lastModified: result.lastModified } : {}),
+  };
+}
+
+module.exports = {
+  fixtureFileName,
+  readFixtureManifest,
+  writeFixtureManifest,
+  replayFixture,
+  recordFixture,
+};
@@ -0,0 +1,129 @@
+const CURATED_FIELDS = [
+  "tags",
+  "interfaces",
+  "mcu",
+  "boardCompatibility",
+  "compatibilitySummary",
+  "supportStatus",
+  "quality",
+];
+const INFERABLE_FIELDS = ["interfaces", "mcu"];
+const SECTIONS = ["added", "removed", "newVersions", "latestChanged", "licenseChanged", "overlayChanged"];
+
+function toLibraryMap(indexData) {
+  const libraries = indexData && Array.isArray(indexData.libraries) ? indexData.libraries : [];
+  return new Map(libraries.filter((lib) => lib && lib.id).map((lib) => [lib.id, lib]));
+}
+
+function curatedValue(lib, field) {
+  if (field === "quality") {
+    const quality = lib.quality || {};
+    const computed = ["computed", ...(quality.computed || [])];
+    return Object.fromEntries(Object.entries(quality).filter(([key]) => !computed.includes(key)));
+  }
+  if (!INFERABLE_FIELDS.includes(field)) return lib[field] === undefined ? null : lib[field];
+  const inferred = (lib.inferredFacets && lib.inferredFacets[field]) || [];
+  return (lib[field] || []).filter((value) => !inferred.includes(value));
+}
+
+function overlaySourcedFields(lib) {
+  const sources = lib.fieldSources || {};
+  return Object.keys(sources).filter((field) => sources[field] === "overlay");
+}
+
+function changedOverlayFields(before, after) {
+  const sourced = new Set([...overlaySourcedFields(before), ...overlaySourcedFields(after)]);
+  const fields = [
+    ...CURATED_FIELDS.filter(
+      (field) => JSON.stringify(curatedValue(before, field)) !== JSON.stringify(curatedValue(after, field))
+    ),
+    ...[...sourced].filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])),
+  ];
+  return [...new Set(fields)].sort((a, b) => a.localeCompare(b));
+}
+
+function diffIndexes(before, after, refs = {}) {
+  const previous = toLibraryMap(before);
+  const current = toLibraryMap(after);
+  const ids = [...new Set([...previous.keys(), ...current.keys()])].sort((a, b) => a.localeCompare(b));
+  const report = {
+    from: { generatedAt: (before && before.generatedAt) || null, ref: refs.from || null },
+    to: { generatedAt: (after && after.generatedAt) || null, ref: refs.to || null },
+    summary: {},
+    ...Object.fromEntries(SECTIONS.map((section) => [section, []])),
+  };
+
+  for (const id of ids) {
+    const was = previous.get(id);
+    const now = current.get(id);
+
+    if (!was) {
+      report.added.push({ id, latest: now.latest, summary: now.summary || "" });
+      continue;
+    }
+    if (!now) {
+      report.removed.push({ id, latest: was.latest });
+      continue;
+    }
+
+    const knownVersions = new Set(was.versions || []);
+    const versions = (now.versions || []).filter((version) => !knownVersions.has(version));
+    if (versions.length > 0) report.newVersions.push({ id, versions });
+    if (was.latest !== now.latest) report.latestChanged.push({ id, from: was.latest, to: now.latest });
+    if ((was.license || null) !== (now.license || null)) {
+      report.licenseChanged.push({ id, from: was.license || null, to: now.license || null });
+    }
+
+    const fields = changedOverlayFields(was, now);
+    if (fields.length > 0) report.overlayChanged.push({ id, fields });
+  }
+
+  report.summary = {
+    ...Object.fromEntries(SECTIONS.map((section) => [section, report[section].length])),
+    newVersions: report.newVersions.reduce((sum, entry) => sum + entry.versions.length, 0),
+  };
+  return report;
+}
+
+function isEmptyReport(report) {
+  return SECTIONS.every((section) => report[section].length === 0);
+}
+
+function plural(count, singular, pluralForm = `${singular}s`) {
+  return `${count} ${count === 1 ? singular : pluralForm}`;
+}
+
+function formatMarkdown(report) {
+  if (isEmptyReport(report)) return "No library changes.\n";
+
+  const { summary } = report;
+  const lines = [
+    [
+      plural(summary.added, "new library", "new libraries"),
+      `${summary.removed} removed`,
+      plural(summary.newVersions, "new version"),
+      `${summary.latestChanged} latest changed`,
+      plural(summary.licenseChanged, "license change"),
+      plural(summary.overlayChanged, "overlay change"),
+    ].join(", "),
+  ];
+  const section = (title, entries, format) => {
+    if (entries.length === 0) return;
+    lines.push("", `### ${title}`, "", ...entries.map((entry) => `- \`${entry.id}\`: ${format(entry)}`));
+  };
+
+  section("New libraries", report.added, (entry) => `${entry.latest}${entry.summary ? ` — ${entry.summary}` : ""}`);
+  section("Removed libraries", report.removed, (entry) => `was ${entry.latest}`);
+  section("New versions", report.newVersions, (entry) => entry.versions.join(", "));
+  section("Latest changed", report.latestChanged, (entry) => `${entry.from} → ${entry.to}`);
+  section("License changes", report.licenseChanged, (entry) => `${entry.from || "none"} → ${entry.to || "none"}`);
+  section("Overlay-driven changes", report.overlayChanged, (entry) => entry.fields.join(", "));
+
+  return `${lines.join("\n")}\n`;
+}
+
+module.exports = {
+  diffIndexes,
+  isEmptyReport,
+  formatMarkdown,
+};
@@ -0,0 +1,159 @@
+const { listPatches, listNodes, findAttachment } = require("./xodball");
+
+// Facets come from what a library builds against: the node types it places
+// and its C++ (includes, peripheral calls, preprocessor guards, required
+// cores). Descriptions and comments are prose and are never matched.
+function preprocessorGuard(macro) {
+  return new RegExp(`^[ \\t]*#[ \\t]*(?:if|ifdef|ifndef|elif)\\b.*\\b${macro}\\b`, "m");
+}
+
+// Matches a board core named in `#pragma XOD require`.
+function requiredCore(repository) {
+  return new RegExp(`github\\.com\\/${repository}(?:\\.git)?(?![\\w.-])`, "i");
+}
+
+const INTERFACE_RULES = [
+  {
+    value: "i2c",
+    code: [/#include\s*<wire\.h>/i, /\bTwoWire\b/, /\bWire\.begin\b/],
+    nodeTypes: [/^xod\/i2c\//],
+  },
+  {
+    value: "spi",
+    code: [/#include\s*<spi\.h>/i, /\bSPI\.begin\b/],
+    nodeTypes: [/\/spi(?:-|\/|$)/],
+  },
+  {
+    value: "uart",
+    code: [/#include\s*<SoftwareSerial\.h>/, /\bHardwareSerial\b/, /\bSerial[1-3]?\.begin\b/],
+    nodeTypes: [/^xod\/uart\//],
+  },
+  {
+    value: "onewire",
+    code: [/#include\s*<OneWire\.h>/, /\/OneWire\b/, /\bDallasTemperature\b/],
+    nodeTypes: [/one-?wire/],
+  },
+  {
+    value: "wifi",
+    code: [/#include\s*<(?:ESP8266)?WiFi\.h>/, /#include\s*<WiFi(?:Client|Udp)\.h>/],
+    nodeTypes: [/^xod-dev\/esp8266(?:-mcu)?\//, /^xod\/net\/wifi/],
+  },
+  {
+    value: "ethernet",
+    code: [/#include\s*<Ethernet2?\.h>/],
+    nodeTypes: [/^xod-dev\/w5500\//, /^xod\/net\/ethernet/],
+  },
+];
+
+const MCU_RULES = [
+  {
+    value: "avr",
+    code: [
+      /\b__AVR(?:_[A-Za-z0-9]+)?__\b/,
+      /\bARDUINO_ARCH_AVR\b/,
+      /#include\s*<avr\//,
+      /#include\s*<util\/atomic\.h>/,
+      requiredCore("arduino/ArduinoCore-avr"),
+    ],
+  },
+  {
+    value: "esp32",
+    code: [preprocessorGuard("ESP32"), /\bARDUINO_ARCH_ESP32\b/, requiredCore("espressif/arduino-esp32")],
+  },
+  {
+    value: "esp8266",
+    code: [
+      preprocessorGuard("ESP8266"),
+      /\bARDUINO_ARCH_ESP8266\b/,
+      /#include\s*<ESP8266\w*\.h>/,
+      requiredCore("esp8266/Arduino"),
+    ],
+    nodeTypes: [/^xod-dev\/esp8266-mcu\//],
+  },
+  {
+    value: "samd",
+    code: [
+      /\bARDUINO_ARCH_SAMD\b/,
+      /\b__SAMD\w*__\b/,
+      requiredCore("arduino/ArduinoCore-samd"),
+      requiredCore("adafruit/ArduinoCore-samd"),
+    ],
+  },
+  {
+    value: "sam",
+    code: [/\bARDUINO_ARCH_SAM\b/, /\b__SAM3X8E__\b/, requiredCore("arduino/ArduinoCore-sam")],
+  },
+  {
+    value: "stm32",
+    code: [
+      /\bARDUINO_ARCH_STM32\w*\b/,
+      requiredCore("stm32duino/Arduino_Core_STM32"),
+      requiredCore("rogerclarkmelbourne/Arduino_STM32"),
+    ],
+  },
+  {
+    value: "rp2040",
+    code: [
+      /\bARDUINO_ARCH_RP2040\b/,
+      /\bARDUINO_ARCH_MBED_RP2040\b/,
+      requiredCore("earlephilhower/arduino-pico"),
+    ],
+  },
+  {
+    value: "nrf52",
+    code: [/\bARDUINO_ARCH_NRF5\w*\b/, preprocessorGuard("NRF52\\w*"), requiredCore("adafruit/Adafruit_nRF52_Arduino")],
+  },
+];
+
+const STRING_LITERAL = /"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'/g;
+
+// Removes comments and the string literals of ordinary code. Literals on
+// preprocessor lines stay: `#pragma XOD require "https://..."` names a core.
+function stripProse(code) {
+  return code
+    .replace(
+      new RegExp(`(${STRING_LITERAL.source})|\\/\\*[\\s\\S]*?\\*\\/|\\/\\/[^\\n]*`, "g"),
+      (match, literal) => literal || match.replace(/[^\n]/g, "")
+    )
+    .split("\n")
+    .map((line) => (/^\s*#/.test(line) ? line : line.replace(STRING_LITERAL, "\"\"")))
+    .join("\n");
+}
+
+function collectSources(xodball) {
+  const code = [];
+  const nodeTypes = [];
+
+  listPatches(xodball).forEach((patch) => {
+    const cpp = findAttachment(patch, "patch.cpp");
+    if (cpp && typeof cpp.content === "string") code.push(stripProse(cpp.content));
+
+    listNodes(patch).forEach((node) => nodeTypes.push(node.type));
+  });
+
+  return { code: code.join("\n"), nodeTypes };
+}
+
+function matchesRule(rule, sources) {
+  const { code = [], nodeTypes = [] } = rule;
+  return (
+    code.some((pattern) => pattern.test(sources.code))
+    || nodeTypes.some((pattern) => sources.nodeTypes.some((type) => pattern.test(type)))
+  );
+}
+
+function inferFacets(xodball) {
+  if (!xodball) return { interfaces: [], mcu: [] };
+
+  const sources = collectSources(xodball);
+  return {
+    interfaces: INTERFACE_RULES.filter((rule) => matchesRule(rule, sources)).map((rule) => rule.value).sort(),
+    mcu: MCU_RULES.filter((rule) => matchesRule(rule, sources)).map((rule) => rule.value).sort(),
+  };
+}
+
+module.exports = {
+  INTERFACE_RULES,
+  MCU_RULES,
+  inferFacets,
+};
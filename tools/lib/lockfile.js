@@ -0,0 +1,179 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { REPO_ROOT, readXodball } = require("./xodball");
+const { extractDependencies } = require("./dependencies");
+const { toVersionKey, resolveVersion } = require("./semver");
+const { checkArtifact } = require("./mirror-verify");
+const { SCHEMA_VERSION } = require("./schema");
+
+const LOCKFILE_NAME = "xod-lock.json";
+const PROJECT_FILE = "project.xod";
+const PATCH_FILE = "patch.xodp";
+const XODBALL_EXTENSION = ".xodball";
+const SKIPPED_DIRS = ["node_modules", "__lib__", "__fixtures__"];
+
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error instanceof SyntaxError) throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+    throw error;
+  }
+}
+
+// A project directory holds project.xod plus one directory per patch with a
+// patch.xodp; it is read into the same shape as a xodball.
+async function readProjectDirectory(projectDir) {
+  let meta;
+  try {
+    meta = await readJsonFile(path.join(projectDir, PROJECT_FILE));
+  } catch (error) {
+    if (error.code === "ENOENT") throw new Error(`${projectDir} is not a XOD project: ${PROJECT_FILE} is missing`);
+    throw error;
+  }
+
+  const patches = {};
+  async function walk(relativeDir) {
+    const entries = await fs.readdir(path.join(projectDir, relativeDir), { withFileTypes: true });
+    if (relativeDir && entries.some((entry) => entry.isFile() && entry.name === PATCH_FILE)) {
+      const patchPath = `@/${relativeDir.split(path.sep).join("/")}`;
+      patches[patchPath] = await readJsonFile(path.join(projectDir, relativeDir, PATCH_FILE));
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith(".") || SKIPPED_DIRS.includes(entry.name)) continue;
+      await walk(path.join(relativeDir, entry.name));
+    }
+  }
+  await walk("");
+
+  return { ...meta, patches };
+}
+
+async function readProject(projectPath) {
+  const resolved = path.resolve(projectPath);
+  const stat = await fs.stat(resolved);
+  const xodball = stat.isDirectory() ? await readProjectDirectory(resolved) : await readJsonFile(resolved);
+  const fallbackName = path.basename(resolved, stat.isDirectory() ? "" : XODBALL_EXTENSION);
+  return {
+    name: typeof xodball.name === "string" && xodball.name ? xodball.name : fallbackName,
+    path: resolved,
+    lockfilePath: stat.isDirectory()
+      ? path.join(resolved, LOCKFILE_NAME)
+      : path.join(path.dirname(resolved), `${path.basename(resolved, XODBALL_EXTENSION)}.${LOCKFILE_NAME}`),
+    xodball,
+  };
+}
+
+function toArtifactMap(mirrorIndex) {
+  const artifacts = mirrorIndex && Array.isArray(mirrorIndex.artifacts) ? mirrorIndex.artifacts : [];
+  return Object.fromEntries(artifacts.map((artifact) => [`${artifact.id}@${artifact.version}`, artifact]));
+}
+
+function directLibraryIds(project) {
+  return extractDependencies(project.xodball, null).map((dep) => dep.id);
+}
+
+async function resolveLibrary(id, lib, range, artifacts, rootDir) {
+  if (!lib) return { problem: { id, kind: "unknown", message: `${id} is not in index/index.json` } };
+
+  const version = resolveVersion(lib, range);
+  if (!version) return { problem: { id, kind: "unresolved", message: `${id}@${range} matches no indexed version` } };
+
+  const artifact = artifacts[`${id}@${toVersionKey(version)}`];
+  const xodball = artifact ? await readXodball(artifact, rootDir) : null;
+  if (!xodball) return { problem: { id, kind: "notMirrored", message: `${id}@${version} has no mirrored xodball` } };
+
+  return {
+    entry: {
+      version,
+      ...(range === "latest" ? {} : { range }),
+      sha256: artifact.sha256,
+      requires: extractDependencies(xodball, id).map((dep) => dep.id),
+    },
+  };
+}
+
+// Every library is locked at one version, as a XOD workspace installs only one.
+// Libraries default to the index `latest`; `ranges` narrows them by id.
+async function buildLockfile(project, { indexData, artifacts, ranges = {}, rootDir = REPO_ROOT }) {
+  const libraries = new Map((indexData.libraries || []).map((lib) => [lib.id, lib]));
+  const direct = directLibraryIds(project);
+  const queue = [...direct];
+  const seen = new Set(queue);
+  const locked = {};
+  const problems = [];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const { entry, problem } = await resolveLibrary(id, libraries.get(id), ranges[id] || "latest", artifacts, rootDir);
+    if (problem) {
+      problems.push(problem);
+      continue;
+    }
+    locked[id] = { ...entry, direct: direct.includes(id) };
+    entry.requires.filter((dep) => !seen.has(dep)).forEach((dep) => {
+      seen.add(dep);
+      queue.push(dep);
+    });
+  }
+
+  return {
+    lockfile: {
+      schemaVersion: SCHEMA_VERSION,
+      project: project.name,
+      libraries: Object.fromEntries(
+        Object.keys(locked).sort((a, b) => a.localeCompare(b)).map((id) => [id, locked[id]])
+      ),
+    },
+    problems: problems.sort((a, b) => a.id.localeCompare(b.id)),
+  };
+}
+
+function reachableIds(lockfile, roots) {
+  const reached = new Set();
+  const queue = roots.filter((id) => lockfile.libraries[id]);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (reached.has(id)) continue;
+    reached.add(id);
+    queue.push(...(lockfile.libraries[id].requires || []).filter((dep) => lockfile.libraries[dep]));
+  }
+  return reached;
+}
+
+async function checkLockfile(lockfile, project, { indexData, artifacts, rootDir = REPO_ROOT }) {
+  const libraries = new Map((indexData.libraries || []).map((lib) => [lib.id, lib]));
+  const ids = Object.keys(lockfile.libraries).sort((a, b) => a.localeCompare(b));
+  const report = { checked: ids.length, ok: 0, missing: [], mismatched: [], added: [], removed: [], outdated: [] };
+
+  for (const id of ids) {
+    const { version, sha256, range } = lockfile.libraries[id];
+    const artifact = artifacts[`${id}@${toVersionKey(version)}`];
+    const file = artifact ? await checkArtifact(artifact, rootDir) : { status: "missing" };
+    if (file.status === "missing") {
+      report.missing.push({ id, version, reason: artifact ? "fileMissing" : "notInMirror" });
+    } else if (artifact.sha256 !== sha256 || file.status !== "ok") {
+      report.mismatched.push({ id, version, locked: sha256, actual: file.sha256 });
+    } else {
+      report.ok += 1;
+    }
+
+    const available = resolveVersion(libraries.get(id), range || "latest");
+    if (available !== version) report.outdated.push({ id, locked: version, available });
+  }
+
+  const direct = directLibraryIds(project);
+  const reached = reachableIds(lockfile, direct);
+  report.added = direct.filter((id) => !lockfile.libraries[id]);
+  report.removed = ids.filter((id) => !reached.has(id));
+  report.passed = ["missing", "mismatched", "added", "removed"].every((kind) => report[kind].length === 0);
+  return report;
+}
+
+module.exports = {
+  LOCKFILE_NAME,
+  readProject,
+  toArtifactMap,
+  buildLockfile,
+  checkLockfile,
+};
@@ -0,0 +1,125 @@
+const { toVersionKey, fromVersionKey, compareVersionsDesc } = require("./semver");
+
+const OPERATIONS = {
+  getLibs: "/libs",
+  getLib: "/orgs/{orgname}/libs/{libname}",
+  getLibVersions: "/orgs/{orgname}/libs/{libname}/versions",
+  getLibVersionXodball: "/orgs/{orgname}/libs/{libname}/versions/{semver_or_latest}/xodball",
+};
+const SWAGGER_PATHS = new Set(["/swagger", "/swagger/", "/swagger/swagger.json"]);
+
+function templateParameters(template) {
+  return [...template.matchAll(/\{([^}]+)\}/g)].map(([, name]) => ({
+    name,
+    in: "path",
+    required: true,
+    type: "string",
+  }));
+}
+
+function buildSwaggerDocument(host, operationIds = Object.keys(OPERATIONS)) {
+  return {
+    swagger: "2.0",
+    info: { title: "XOD library mirror", version: "1.0.0" },
+    ...(host ? { host } : {}),
+    basePath: "/",
+    schemes: ["http"],
+    produces: ["application/json"],
+    paths: Object.fromEntries(
+      operationIds.map((operationId) => [
+        OPERATIONS[operationId],
+        {
+          get: {
+            operationId,
+            parameters: templateParameters(OPERATIONS[operationId]),
+            responses: {
+              200: { description: "OK" },
+              404: { description: "Not found in the mirror" },
+            },
+          },
+        },
+      ])
+    ),
+  };
+}
+
+const ROUTES = Object.entries(OPERATIONS).map(([operationId, template]) => ({
+  operationId,
+  names: templateParameters(template).map((param) => param.name),
+  pattern: new RegExp(`^${template.replace(/\{[^}]+\}/g, "([^/]+)")}/?$`),
+}));
+
+function matchRoute(pathname) {
+  for (const route of ROUTES) {
+    const match = pathname.match(route.pattern);
+    if (!match) continue;
+    try {
+      const params = Object.fromEntries(
+        route.names.map((name, i) => [name, decodeURIComponent(match[i + 1]).toLowerCase()])
+      );
+      return { operationId: route.operationId, params };
+    } catch (error) {
+      return null;
+    }
+  }
+  return null;
+}
+
+function createRegistry(indexData, artifacts) {
+  const libraries = new Map((indexData.libraries || []).map((lib) => [lib.id, lib]));
+  const mirrored = new Map();
+  for (const artifact of Object.values(artifacts)) {
+    if (!artifact || !artifact.id) continue;
+    if (!mirrored.has(artifact.id)) mirrored.set(artifact.id, []);
+    mirrored.get(artifact.id).push(artifact);
+  }
+  return { libraries, artifacts, mirrored };
+}
+
+function listLibraries(registry) {
+  return [...registry.mirrored.keys()]
+    .sort((a, b) => a.localeCompare(b))
+    .map((id) => {
+      const [owner, libname] = id.split("/");
+      return { owner, libname };
+    });
+}
+
+function describeLibrary(registry, id) {
+  if (!registry.mirrored.has(id)) return null;
+  const [owner, libname] = id.split("/");
+  const lib = registry.libraries.get(id) || {};
+  return {
+    owner,
+    libname,
+    description: lib.summary || "",
+    license: lib.license || null,
+  };
+}
+
+function listVersions(registry, id) {
+  const artifacts = registry.mirrored.get(id);
+  if (!artifacts) return null;
+  return [...artifacts]
+    .sort((a, b) => compareVersionsDesc(a.version, b.version))
+    .map((artifact) => ({ semver: fromVersionKey(artifact.version) }));
+}
+
+function resolveXodballArtifact(registry, id, semverOrLatest) {
+  const lib = registry.libraries.get(id);
+  const version = semverOrLatest === "latest" ? lib && lib.latest : semverOrLatest;
+  const key = toVersionKey(version);
+  return (key && registry.artifacts[`${id}@${key}`]) || null;
+}
+
+module.exports = {
+  OPERATIONS,
+  SWAGGER_PATHS,
+  buildSwaggerDocument,
+  matchRoute,
+  createRegistry,
+  listLibraries,
+  describeLibrary,
+  listVersions,
+  resolveXodballArtifact,
+};
@@ -0,0 +1,92 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { REPO_ROOT } = require("./xodball");
+const { OBJECTS_PATH, sha256 } = require("./content-store");
+
+const MIRROR_LIBS_PATH = "mirror/libs";
+const XODBALL_SUFFIX = ".xodball.json";
+const PROBLEM_KINDS = ["missing", "truncated", "mismatched"];
+
+function serializeXodball(xodball) {
+  return `${JSON.stringify(xodball, null, 2)}\n`;
+}
+
+async function checkArtifact(artifact, rootDir = REPO_ROOT) {
+  let content;
+  try {
+    content = await fs.readFile(path.resolve(rootDir, artifact.path));
+  } catch (error) {
+    if (error.code === "ENOENT") return { status: "missing" };
+    throw error;
+  }
+
+  const actual = { sha256: sha256(content), bytes: content.length };
+  if (actual.sha256 === artifact.sha256) return { status: "ok", ...actual };
+  return { status: actual.bytes < artifact.bytes ? "truncated" : "mismatched", ...actual };
+}
+
+async function listMirrorFiles(rootDir = REPO_ROOT) {
+  const files = [];
+  async function walk(relativeDir) {
+    let entries;
+    try {
+      entries = await fs.readdir(path.resolve(rootDir, relativeDir), { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT") return;
+      throw error;
+    }
+    for (const entry of entries) {
+      const relativePath = path.posix.join(relativeDir, entry.name);
+      if (entry.isDirectory()) await walk(relativePath);
+      else if (entry.name.endsWith(XODBALL_SUFFIX)) files.push(relativePath);
+    }
+  }
+  await walk(MIRROR_LIBS_PATH);
+  await walk(OBJECTS_PATH);
+  return files.sort((a, b) => a.localeCompare(b));
+}
+
+async function verifyArtifacts(artifacts, rootDir = REPO_ROOT) {
+  const keys = Object.keys(artifacts).sort((a, b) => a.localeCompare(b));
+  const report = {
+    checked: keys.length,
+    ok: 0,
+    ...Object.fromEntries(PROBLEM_KINDS.map((kind) => [kind, []])),
+    unreferenced: [],
+  };
+
+  for (const key of keys) {
+    const artifact = artifacts[key];
+    let checkedPath = artifact.path;
+    let result = await checkArtifact(artifact, rootDir);
+    if (result.status === "ok" && artifact.object) {
+      checkedPath = artifact.object;
+      result = await checkArtifact({ ...artifact, path: artifact.object }, rootDir);
+    }
+    if (result.status === "ok") {
+      report.ok += 1;
+      continue;
+    }
+    report[result.status].push({
+      key,
+      path: checkedPath,
+      expected: { sha256: artifact.sha256, bytes: artifact.bytes },
+      ...(result.sha256 ? { actual: { sha256: result.sha256, bytes: result.bytes } } : {}),
+    });
+  }
+
+  const referenced = new Set(
+    Object.values(artifacts).flatMap((artifact) => [artifact.path, artifact.object].filter(Boolean))
+  );
+  report.unreferenced = (await listMirrorFiles(rootDir)).filter((file) => !referenced.has(file));
+  return report;
+}
+
+module.exports = {
+  PROBLEM_KINDS,
+  sha256,
+  serializeXodball,
+  checkArtifact,
+  listMirrorFiles,
+  verifyArtifacts,
+};
@@ -0,0 +1,89 @@
+const { REPO_ROOT, toVersionKey, readXodball, listPatches, listNodes } = require("./xodball");
+
+const PATCH_NODES_PREFIX = "xod/patch-nodes/";
+const MARKER_NODES = {
+  [`${PATCH_NODES_PREFIX}utility`]: "utility",
+  [`${PATCH_NODES_PREFIX}deprecated`]: "deprecated",
+  [`${PATCH_NODES_PREFIX}abstract`]: "abstract",
+};
+
+function resolvePatchPath(type, ownId) {
+  return type.startsWith("@/") ? `${ownId}/${type.slice(2)}` : type;
+}
+
+function parseTerminal(type, ownId) {
+  const resolved = resolvePatchPath(type, ownId);
+  const match = resolved.match(/^(.*\/)?(input|output)-(.+)$/);
+  if (!match || resolved === `${PATCH_NODES_PREFIX}output-self`) return null;
+
+  const [, prefix = "", direction, name] = match;
+  return {
+    direction,
+    type: prefix === PATCH_NODES_PREFIX ? name : `${prefix}${name}`,
+  };
+}
+
+function toPin(node, terminal) {
+  return {
+    label: typeof node.label === "string" ? node.label : "",
+    type: terminal.type,
+    description: typeof node.description === "string" ? node.description : "",
+  };
+}
+
+function byPosition(a, b) {
+  const ax = a.node.position && Number.isFinite(a.node.position.x) ? a.node.position.x : 0;
+  const bx = b.node.position && Number.isFinite(b.node.position.x) ? b.node.position.x : 0;
+  return ax - bx;
+}
+
+function extractPatchNodes(xodball, ownId) {
+  return listPatches(xodball)
+    .filter((patch) => patch.path.startsWith("@/"))
+    .map((patch) => {
+      const terminals = listNodes(patch)
+        .map((node) => ({ node, terminal: parseTerminal(node.type, ownId) }))
+        .filter((item) => item.terminal)
+        .sort(byPosition);
+      const markers = listNodes(patch)
+        .map((node) => MARKER_NODES[node.type])
+        .filter(Boolean);
+
+      return {
+        path: resolvePatchPath(patch.path, ownId),
+        description: typeof patch.description === "string" ? patch.description.trim() : "",
+        inputs: terminals
+          .filter((item) => item.terminal.direction === "input")
+          .map((item) => toPin(item.node, item.terminal)),
+        outputs: terminals
+          .filter((item) => item.terminal.direction === "output")
+          .map((item) => toPin(item.node, item.terminal)),
+        ...markers.reduce((acc, marker) => ({ ...acc, [marker]: true }), {}),
+      };
+    });
+}
+
+async function buildNodeCatalog(libraries, artifacts, rootDir = REPO_ROOT) {
+  const catalog = {};
+
+  for (const lib of libraries) {
+    const artifact = artifacts[`${lib.id}@${toVersionKey(lib.latest)}`];
+    if (!artifact) continue;
+
+    try {
+      const xodball = await readXodball(artifact, rootDir);
+      if (!xodball) continue;
+      catalog[lib.id] = { version: lib.latest, nodes: extractPatchNodes(xodball, lib.id) };
+    } catch (error) {
+      console.warn(`Node catalog failed for ${lib.id}@${lib.latest}: ${error.message}`);
+    }
+  }
+
+  return { libraries: catalog };
+}
+
+module.exports = {
+  parseTerminal,
+  extractPatchNodes,
+  buildNodeCatalog,
+};
@@ -0,0 +1,66 @@
+const COMPATIBILITY_STATUSES = ["working", "broken", "untested"];
+const SUPPORT_STATUSES = ["stable", "experimental", "deprecated"];
+
+function normalizeId(value) {
+  if (typeof value !== "string") return null;
+  const cleaned = value.trim().replace(/^\/+|\/+$/g, "");
+  return /^[a-z0-9._-]+\/[a-z0-9._-]+$/i.test(cleaned) ? cleaned.toLowerCase() : null;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function toNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "" ? value.trim() : null;
+}
+
+function childPath(parent, key) {
+  if (typeof key === "number") return `${parent}[${key}]`;
+  return /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? `${parent}.${key}` : `${parent}[${JSON.stringify(key)}]`;
+}
+
+function idFromRecord(record) {
+  if (!isPlainObject(record)) return null;
+  const fromId = normalizeId(record.id);
+  if (fromId) return fromId;
+
+  const owner = toNonEmptyString(record.owner);
+  const libname = toNonEmptyString(record.libname);
+  return owner && libname ? normalizeId(`${owner}/${libname}`) : null;
+}
+
+// Lists the entries of any supported overlay format: a map keyed by library
+// id, an array of records or { "libraries": [] }. Returns null for anything
+// else. `id` is null for entries that name no valid library.
+function listOverlayEntries(parsed) {
+  if (Array.isArray(parsed)) {
+    return parsed.map((record, i) => ({ rawId: null, id: idFromRecord(record), path: `$[${i}]`, record }));
+  }
+  if (isPlainObject(parsed) && Array.isArray(parsed.libraries)) {
+    return parsed.libraries.map((record, i) => ({
+      rawId: null,
+      id: idFromRecord(record),
+      path: `$.libraries[${i}]`,
+      record,
+    }));
+  }
+  if (isPlainObject(parsed)) {
+    return Object.keys(parsed).map((rawId) => ({
+      rawId,
+      id: normalizeId(rawId) || idFromRecord(parsed[rawId]),
+      path: childPath("$", rawId),
+      record: parsed[rawId],
+    }));
+  }
+  return null;
+}
+
+module.exports = {
+  COMPATIBILITY_STATUSES,
+  SUPPORT_STATUSES,
+  normalizeId,
+  childPath,
+  idFromRecord,
+  listOverlayEntries,
+};
@@ -0,0 +1,84 @@
+const PM_SWAGGER_URL = process.env.PM_SWAGGER_URL || "https://pm.xod.io/swagger/";
+
+async function fetchSwaggerSpec(swaggerUrl, fetchJson) {
+  const normalized = swaggerUrl.endsWith("/") ? swaggerUrl : `${swaggerUrl}/`;
+  const candidates = [normalized, `${normalized}swagger.json`];
+  let lastError = null;
+
+  for (const url of candidates) {
+    try {
+      return await fetchJson(url);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw new Error(`Unable to fetch swagger spec from ${candidates.join(", ")}: ${lastError && lastError.message ? lastError.message : "unknown error"}`);
+}
+
+function findOperation(swaggerSpec, operationId) {
+  if (!swaggerSpec || typeof swaggerSpec !== "object" || !swaggerSpec.paths) {
+    throw new Error("Invalid swagger spec, missing paths");
+  }
+
+  for (const p of Object.keys(swaggerSpec.paths)) {
+    const methods = swaggerSpec.paths[p] || {};
+    for (const method of Object.keys(methods)) {
+      const op = methods[method];
+      if (op && op.operationId === operationId) {
+        return { pathTemplate: p, method: method.toUpperCase() };
+      }
+    }
+  }
+
+  return null;
+}
+
+function resolveOperationPath(swaggerSpec, operationId) {
+  const operation = findOperation(swaggerSpec, operationId);
+  if (!operation) {
+    throw new Error(`Operation ${operationId} not found in swagger spec`);
+  }
+  return operation;
+}
+
+function resolveOperations(swaggerSpec, candidatesByName) {
+  return Object.keys(candidatesByName).reduce((acc, name) => {
+    const operation = candidatesByName[name]
+      .map((operationId) => findOperation(swaggerSpec, operationId))
+      .find((op) => op && op.method === "GET");
+    return operation ? { ...acc, [name]: operation.pathTemplate } : acc;
+  }, {});
+}
+
+function buildPathFromTemplate(pathTemplate, params) {
+  const aliases = {
+    orgname: ["orgname", "owner", "org"],
+    libname: ["libname", "library", "name"],
+    semver_or_latest: ["semver_or_latest", "version", "semverOrLatest"],
+  };
+
+  return pathTemplate.replace(/\{([^}]+)\}/g, (_, key) => {
+    const choices = aliases[key] || [key];
+    const value = choices.find((choice) => choice in params);
+    if (!value) {
+      throw new Error(`Missing path parameter: ${key}`);
+    }
+    return encodeURIComponent(params[value]);
+  });
+}
+
+function buildBaseUrl(swaggerUrl) {
+  const url = new URL(swaggerUrl);
+  return `${url.protocol}//${url.host}`;
+}
+
+module.exports = {
+  PM_SWAGGER_URL,
+  fetchSwaggerSpec,
+  findOperation,
+  resolveOperationPath,
+  resolveOperations,
+  buildPathFromTemplate,
+  buildBaseUrl,
+};
@@ -0,0 +1,79 @@
+const { REPO_ROOT, toVersionKey, readXodball, listPatches, listNodes, listAttachments } = require("./xodball");
+const { lintXodball, toQualitySignals } = require("./xodball-lint");
+
+const PATCH_NODES_PREFIX = "xod/patch-nodes/";
+const UTILITY = `${PATCH_NODES_PREFIX}utility`;
+const TABTEST = `${PATCH_NODES_PREFIX}tabtest`;
+const TEST_ATTACHMENT = "patch.test.tsv";
+const README_ATTACHMENT = "readme.md";
+
+function isTerminal(type) {
+  return type.startsWith(`${PATCH_NODES_PREFIX}input-`) || type.startsWith(`${PATCH_NODES_PREFIX}output-`);
+}
+
+function hasText(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function classifyPatch(patch) {
+  const types = listNodes(patch).map((node) => node.type);
+  const filenames = listAttachments(patch).map((attachment) => attachment.filename.toLowerCase());
+  if (types.length === 0 || types.includes(UTILITY)) return "other";
+  if (types.includes(TABTEST) || filenames.includes(TEST_ATTACHMENT)) return "test";
+  if (/example/i.test(patch.path) || !types.some(isTerminal)) return "example";
+  return "node";
+}
+
+function computeQuality(lib, xodball) {
+  const versionCount = Array.isArray(lib.versions) ? lib.versions.length : 0;
+  if (!xodball) return { versionCount };
+
+  const patches = listPatches(xodball).filter((patch) => patch.path.startsWith("@/"));
+  const kinds = patches.map(classifyPatch);
+  const nodes = patches.filter((patch, i) => kinds[i] === "node");
+  const readme = patches.some((patch) =>
+    listAttachments(patch).some((attachment) => attachment.filename.toLowerCase() === README_ATTACHMENT)
+  );
+
+  return {
+    hasExamples: kinds.includes("example"),
+    hasReadme: readme || hasText(xodball.description),
+    hasTests: kinds.includes("test"),
+    nodeCount: nodes.length,
+    documentedNodes: nodes.filter((patch) => hasText(patch.description)).length,
+    versionCount,
+    ...toQualitySignals(lintXodball(xodball, lib.id)),
+  };
+}
+
+async function buildQuality(libraries, artifacts, rootDir = REPO_ROOT) {
+  const quality = {};
+
+  for (const lib of libraries) {
+    const artifact = artifacts[`${lib.id}@${toVersionKey(lib.latest)}`];
+    try {
+      quality[lib.id] = computeQuality(lib, artifact ? await readXodball(artifact, rootDir) : null);
+    } catch (error) {
+      console.warn(`Quality signals failed for ${lib.id}@${lib.latest}: ${error.message}`);
+      quality[lib.id] = computeQuality(lib, null);
+    }
+  }
+
+  return quality;
+}
+
+// Curated values win; `computed` names the fields that still hold computed values.
+function mergeQuality(curated, computed = {}) {
+  const fields = Object.keys(computed).filter((field) => curated[field] === undefined);
+  return {
+    ...computed,
+    ...curated,
+    computed: fields.sort((a, b) => a.localeCompare(b)),
+  };
+}
+
+module.exports = {
+  computeQuality,
+  buildQuality,
+  mergeQuality,
+};
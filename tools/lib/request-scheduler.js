@@ -0,0 +1,152 @@
+const DEFAULT_CONCURRENCY = Number.parseInt(process.env.XOD_FETCH_CONCURRENCY, 10) || 4;
+const DEFAULT_REQUESTS_PER_SECOND = Number.parseFloat(process.env.XOD_FETCH_RPS) || 4;
+const DEFAULT_RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const RETRY_AFTER_STATUS_CODES = new Set([429, 503]);
+const MAX_RETRY_AFTER_MS = 120_000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds) && seconds >= 0) return Math.min(seconds * 1000, MAX_RETRY_AFTER_MS);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return null;
+  return Math.min(Math.max(date - now, 0), MAX_RETRY_AFTER_MS);
+}
+
+function backoffDelay(attempt, baseDelayMs, maxDelayMs, random = Math.random) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(ceiling / 2 + random() * (ceiling / 2));
+}
+
+function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const release = () => {
+    active -= 1;
+    if (queue.length > 0) {
+      active += 1;
+      queue.shift()();
+    }
+  };
+
+  return async function limit(task) {
+    if (active >= concurrency) {
+      await new Promise((resolve) => queue.push(resolve));
+    } else {
+      active += 1;
+    }
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  };
+}
+
+async function mapWithConcurrency(items, concurrency, fn) {
+  const limit = createLimiter(Math.max(1, concurrency));
+  return Promise.all(items.map((item, i) => limit(() => fn(item, i))));
+}
+
+function createRequestScheduler(options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    requestsPerSecond = DEFAULT_REQUESTS_PER_SECOND,
+    retries = 4,
+    baseDelayMs = 1_000,
+    maxDelayMs = 30_000,
+    timeoutMs = 20_000,
+    retryableStatusCodes = DEFAULT_RETRYABLE_STATUS_CODES,
+    headers = {},
+    fetchImpl = (...args) => fetch(...args),
+    onRetry = () => {},
+  } = options;
+
+  const retryable = new Set(retryableStatusCodes);
+  const limit = createLimiter(Math.max(1, concurrency));
+  const intervalMs = requestsPerSecond > 0 ? 1000 / requestsPerSecond : 0;
+  const nextSlotByHost = new Map();
+  const pausedUntilByHost = new Map();
+
+  // A request that already reserved a slot re-checks after sleeping, so a
+  // Retry-After that arrived meanwhile holds it back too.
+  async function waitForHostSlot(url) {
+    const { host } = new URL(url);
+    for (;;) {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlotByHost.get(host) || 0);
+      nextSlotByHost.set(host, slot + intervalMs);
+      if (slot > now) await sleep(slot - now);
+      if ((pausedUntilByHost.get(host) || 0) <= Date.now()) return;
+    }
+  }
+
+  // Retry-After asks the whole host to back off, not just the one request.
+  function pauseHost(url, delay) {
+    const { host } = new URL(url);
+    const until = Date.now() + delay;
+    pausedUntilByHost.set(host, Math.max(pausedUntilByHost.get(host) || 0, until));
+    nextSlotByHost.set(host, Math.max(nextSlotByHost.get(host) || 0, until));
+  }
+
+  async function attempt(url, init) {
+    await waitForHostSlot(url);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const response = await fetchImpl(url, {
+        ...init,
+        signal: controller.signal,
+        headers: { ...headers, ...(init && init.headers) },
+      });
+      return {
+        url,
+        ok: response.ok,
+        status: response.status,
+        headers: response.headers,
+        text: await response.text(),
+      };
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  async function request(url, init = {}) {
+    for (let attemptNumber = 1; ; attemptNumber += 1) {
+      let response = null;
+      let error = null;
+      try {
+        response = await limit(() => attempt(url, init));
+      } catch (fetchError) {
+        error = fetchError;
+      }
+
+      if (response && !retryable.has(response.status)) return response;
+      if (attemptNumber > retries) {
+        if (response) return response;
+        throw new Error(`Failed to fetch ${url} after ${attemptNumber} attempts: ${error.message}`);
+      }
+
+      const retryAfter = response && RETRY_AFTER_STATUS_CODES.has(response.status)
+        ? parseRetryAfter(response.headers.get("retry-after"))
+        : null;
+      const delay = retryAfter !== null ? retryAfter : backoffDelay(attemptNumber, baseDelayMs, maxDelayMs);
+      if (retryAfter !== null) pauseHost(url, retryAfter);
+      const reason = response ? `HTTP ${response.status}` : error.message;
+      onRetry({ url, attempt: attemptNumber, retries, delay, reason });
+      await sleep(delay);
+    }
+  }
+
+  return { request, concurrency: Math.max(1, concurrency) };
+}
+
+module.exports = {
+  parseRetryAfter,
+  backoffDelay,
+  mapWithConcurrency,
+  createRequestScheduler,
+};
@@ -0,0 +1,60 @@
+const path = require("path");
+const Ajv = require("ajv");
+
+const SCHEMA_VERSION = 1;
+const SCHEMAS_DIR = path.resolve(__dirname, "..", "..", "schemas");
+const SCHEMA_FILES = {
+  index: "index.schema.json",
+  overlay: "overlay.schema.json",
+  removed: "removed.schema.json",
+  changes: "changes.schema.json",
+  mirrorIndex: "mirror-index.schema.json",
+  mirrorState: "mirror-state.schema.json",
+  registryManifest: "registry-manifest.schema.json",
+  lintReport: "lint-report.schema.json",
+  lockfile: "lockfile.schema.json",
+  boardList: "board-list.schema.json",
+  boardView: "board-view.schema.json",
+};
+const MAX_REPORTED_ERRORS = 10;
+
+let ajv = null;
+
+function getAjv() {
+  if (ajv) return ajv;
+  ajv = new Ajv({ allErrors: true });
+  Object.values(SCHEMA_FILES).forEach((file) => {
+    ajv.addSchema(require(path.join(SCHEMAS_DIR, file)), file);
+  });
+  return ajv;
+}
+
+// `fragment` selects a sub-schema, e.g. "#/definitions/entry".
+function getValidator(name, fragment = "") {
+  const file = SCHEMA_FILES[name];
+  if (!file) throw new Error(`Unknown schema: ${name}`);
+  return getAjv().getSchema(`${file}${fragment}`);
+}
+
+function validateAgainstSchema(name, payload) {
+  const validate = getValidator(name);
+  if (validate(payload)) return [];
+  return validate.errors.map((error) => `${error.instancePath || "/"} ${error.message}`);
+}
+
+function assertMatchesSchema(name, payload, subject = "Output") {
+  const errors = validateAgainstSchema(name, payload);
+  if (errors.length === 0) return;
+
+  const shown = errors.slice(0, MAX_REPORTED_ERRORS).join("; ");
+  const more = errors.length > MAX_REPORTED_ERRORS ? ` (and ${errors.length - MAX_REPORTED_ERRORS} more)` : "";
+  throw new Error(`${subject} does not match ${SCHEMA_FILES[name]}: ${shown}${more}`);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  SCHEMA_FILES,
+  getValidator,
+  validateAgainstSchema,
+  assertMatchesSchema,
+};
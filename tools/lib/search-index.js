@@ -0,0 +1,179 @@
+const fs = require("fs").promises;
+
+const FIELD_WEIGHTS = {
+  id: 5,
+  tags: 3,
+  interfaces: 3,
+  mcu: 3,
+  summary: 1,
+};
+const FACET_FIELDS = ["tags", "interfaces", "mcu"];
+const PREFIX_MATCH_FACTOR = 0.5;
+const DUPLICATE_SCORE_FACTOR = 0.5;
+
+function tokenize(value) {
+  return String(value)
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function fieldTokens(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return new Set(values.filter((item) => typeof item === "string").flatMap(tokenize));
+}
+
+function toDoc(lib) {
+  const boards = Object.keys(lib.boardCompatibility || {}).reduce((acc, board) => {
+    const entry = lib.boardCompatibility[board];
+    return entry && entry.status ? { ...acc, [board]: entry.status } : acc;
+  }, {});
+
+  return {
+    id: lib.id,
+    latest: lib.latest,
+    summary: lib.summary || "",
+    updatedAt: lib.updatedAt || null,
+    tags: lib.tags || [],
+    interfaces: lib.interfaces || [],
+    mcu: lib.mcu || [],
+    ...(lib.supportStatus ? { supportStatus: lib.supportStatus } : {}),
+    ...(lib.duplicateOf ? { duplicateOf: lib.duplicateOf } : {}),
+    boards,
+  };
+}
+
+function countFacet(docs, read) {
+  const counts = {};
+  docs.forEach((doc) => {
+    read(doc).forEach((value) => {
+      counts[value] = (counts[value] || 0) + 1;
+    });
+  });
+  return Object.fromEntries(
+    Object.keys(counts)
+      .sort((a, b) => a.localeCompare(b))
+      .map((key) => [key, counts[key]])
+  );
+}
+
+function buildSearchIndex(indexData) {
+  const docs = [...indexData.libraries]
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .map(toDoc);
+  const postings = {};
+
+  docs.forEach((doc, docIndex) => {
+    const scores = {};
+    Object.keys(FIELD_WEIGHTS).forEach((field) => {
+      fieldTokens(doc[field]).forEach((token) => {
+        scores[token] = (scores[token] || 0) + FIELD_WEIGHTS[field];
+      });
+    });
+    Object.keys(scores).forEach((token) => {
+      postings[token] = postings[token] || [];
+      postings[token].push([docIndex, scores[token]]);
+    });
+  });
+
+  const facets = FACET_FIELDS.reduce(
+    (acc, field) => ({ ...acc, [field]: countFacet(docs, (doc) => doc[field]) }),
+    {}
+  );
+
+  return {
+    sourceIndexGeneratedAt: indexData.generatedAt || null,
+    fieldWeights: FIELD_WEIGHTS,
+    facets: {
+      ...facets,
+      supportStatus: countFacet(docs, (doc) => (doc.supportStatus ? [doc.supportStatus] : [])),
+      boards: countFacet(docs, (doc) => Object.keys(doc.boards)),
+    },
+    docs,
+    terms: Object.fromEntries(
+      Object.keys(postings)
+        .sort((a, b) => a.localeCompare(b))
+        .map((token) => [token, postings[token]])
+    ),
+  };
+}
+
+function scoreToken(searchIndex, queryToken) {
+  const scores = new Map();
+  Object.keys(searchIndex.terms).forEach((term) => {
+    if (!term.startsWith(queryToken)) return;
+    const factor = term === queryToken ? 1 : PREFIX_MATCH_FACTOR;
+    searchIndex.terms[term].forEach(([docIndex, weight]) => {
+      scores.set(docIndex, Math.max(scores.get(docIndex) || 0, weight * factor));
+    });
+  });
+  return scores;
+}
+
+function includesAll(list, required = []) {
+  const values = list.map((item) => String(item).toLowerCase());
+  return required.every((item) => values.includes(item.toLowerCase()));
+}
+
+function matchesBoard(doc, board, status) {
+  if (board) return Boolean(doc.boards[board]) && (!status || doc.boards[board] === status);
+  if (status) return Object.values(doc.boards).includes(status);
+  return true;
+}
+
+function matchesFilters(doc, filters) {
+  return (
+    includesAll(doc.interfaces, filters.interface)
+    && includesAll(doc.mcu, filters.mcu)
+    && includesAll(doc.tags, filters.tag)
+    && matchesBoard(doc, filters.board, filters.status)
+    && (!filters.support || doc.supportStatus === filters.support)
+    && (!filters.collapseDuplicates || !doc.duplicateOf)
+  );
+}
+
+function compareResults(sortKey) {
+  const byId = (a, b) => a.doc.id.localeCompare(b.doc.id);
+  if (sortKey === "id") return byId;
+  if (sortKey === "updatedAt") {
+    return (a, b) => {
+      if (a.doc.updatedAt && !b.doc.updatedAt) return -1;
+      if (!a.doc.updatedAt && b.doc.updatedAt) return 1;
+      if (a.doc.updatedAt !== b.doc.updatedAt) return b.doc.updatedAt.localeCompare(a.doc.updatedAt);
+      return byId(a, b);
+    };
+  }
+  return (a, b) => b.score - a.score || Boolean(a.doc.duplicateOf) - Boolean(b.doc.duplicateOf) || byId(a, b);
+}
+
+function querySearchIndex(searchIndex, query, filters = {}, sortKey = "id") {
+  const queryTokens = [...new Set(tokenize(query || ""))];
+  const tokenScores = queryTokens.map((token) => scoreToken(searchIndex, token));
+
+  return searchIndex.docs
+    .map((doc, docIndex) => {
+      const score = tokenScores.reduce(
+        (total, scores) => (scores.has(docIndex) && total !== null ? total + scores.get(docIndex) : null),
+        0
+      );
+      return { doc, score: score !== null && doc.duplicateOf ? score * DUPLICATE_SCORE_FACTOR : score };
+    })
+    .filter((result) => result.score !== null && matchesFilters(result.doc, filters))
+    .sort(compareResults(sortKey));
+}
+
+async function loadSearchIndex(filePath) {
+  const searchIndex = JSON.parse(await fs.readFile(filePath, "utf8"));
+  if (!searchIndex || !Array.isArray(searchIndex.docs) || !searchIndex.terms) {
+    throw new Error(`Invalid search index file at ${filePath}`);
+  }
+  return searchIndex;
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  tokenize,
+  buildSearchIndex,
+  loadSearchIndex,
+  querySearchIndex,
+};
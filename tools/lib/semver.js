@@ -0,0 +1,230 @@
+const VERSION_PATTERN =
+  /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-((?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*)(?:\.(?:0|[1-9]\d*|\d*[A-Za-z-][0-9A-Za-z-]*))*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+const PARTIAL_PATTERN =
+  /^v?(\*|x|X|0|[1-9]\d*)(?:\.(\*|x|X|0|[1-9]\d*)(?:\.(\*|x|X|0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?)?)?$/;
+const COMPARATOR_PATTERN = /^(\^|~|>=|<=|>|<|=)?\s*(\S+)$/;
+const LIBRARY_ID_PATTERN = /^[a-z0-9._-]+\/[a-z0-9._-]+$/i;
+
+function toNumber(text) {
+  const value = Number(text);
+  return Number.isSafeInteger(value) ? value : null;
+}
+
+function parseVersion(value) {
+  const match = typeof value === "string" ? value.trim().match(VERSION_PATTERN) : null;
+  if (!match) return null;
+
+  const [major, minor, patch] = match.slice(1, 4).map(toNumber);
+  if ([major, minor, patch].includes(null)) return null;
+  const prerelease = match[4] ? match[4].split(".").map((id) => (/^\d+$/.test(id) ? toNumber(id) : id)) : [];
+  if (prerelease.includes(null)) return null;
+
+  return {
+    major,
+    minor,
+    patch,
+    prerelease,
+    build: match[5] ? match[5].split(".") : [],
+    version: `${major}.${minor}.${patch}${match[4] ? `-${match[4]}` : ""}`,
+  };
+}
+
+function isValidVersion(value) {
+  return parseVersion(value) !== null;
+}
+
+function compareText(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+function compareIdentifiers(a, b) {
+  const aNumeric = typeof a === "number";
+  const bNumeric = typeof b === "number";
+  if (aNumeric && bNumeric) return a - b;
+  if (aNumeric !== bNumeric) return aNumeric ? -1 : 1;
+  return compareText(a, b);
+}
+
+function compareParsed(a, b) {
+  const core = a.major - b.major || a.minor - b.minor || a.patch - b.patch;
+  if (core !== 0) return core;
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) {
+    return b.prerelease.length - a.prerelease.length;
+  }
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i += 1) {
+    if (a.prerelease[i] === undefined) return -1;
+    if (b.prerelease[i] === undefined) return 1;
+    const order = compareIdentifiers(a.prerelease[i], b.prerelease[i]);
+    if (order !== 0) return order;
+  }
+  return 0;
+}
+
+// Precedence per SemVer 2.0.0; build metadata only breaks ties so sorting stays
+// stable. Invalid strings sort below every valid version.
+function compareVersions(a, b) {
+  const pa = parseVersion(a);
+  const pb = parseVersion(b);
+  if (pa && pb) return Math.sign(compareParsed(pa, pb)) || compareText(pa.build.join("."), pb.build.join("."));
+  if (pa || pb) return pa ? 1 : -1;
+  return compareText(String(a), String(b));
+}
+
+function compareVersionsDesc(a, b) {
+  return compareVersions(b, a);
+}
+
+function toVersionKey(version) {
+  const value = typeof version === "string" ? version.trim() : "";
+  if (!value || value === "latest") return value || null;
+  return value.startsWith("v") ? value : `v${value}`;
+}
+
+// Inverse of toVersionKey: mirror keys "vX.Y.Z" back to the bare SemVer
+// pm.xod.io uses. Anything that is not a valid version is returned as-is.
+function fromVersionKey(key) {
+  const value = typeof key === "string" ? key.trim() : "";
+  return value.startsWith("v") && isValidVersion(value) ? value.slice(1) : value || null;
+}
+
+function findInvalidVersions(versions) {
+  return (Array.isArray(versions) ? versions : []).filter((version) => !isValidVersion(version));
+}
+
+function bound(op, major, minor, patch, prerelease = []) {
+  return { op, version: { major, minor, patch, prerelease, build: [] } };
+}
+
+function parsePartial(text) {
+  const match = text.match(PARTIAL_PATTERN);
+  if (!match) return null;
+  const parts = match.slice(1, 4).map((part) => (part === undefined || /^[*xX]$/.test(part) ? null : toNumber(part)));
+  const wildcard = parts.findIndex((part) => part === null);
+  if (wildcard !== -1 && parts.slice(wildcard).some((part) => part !== null)) return null;
+  if (match[4] && wildcard !== -1) return null;
+  const prerelease = match[4] ? parseVersion(`${parts.join(".")}-${match[4]}`) : null;
+  if (match[4] && !prerelease) return null;
+  return { parts, given: wildcard === -1 ? 3 : wildcard, prerelease: prerelease ? prerelease.prerelease : [] };
+}
+
+function desugar(op, partial) {
+  const [major, minor, patch] = partial.parts;
+  const { given, prerelease } = partial;
+  const next = (level) =>
+    level === 0 ? bound("<", major + 1, 0, 0) : level === 1 ? bound("<", major, minor + 1, 0) : bound("<", major, minor, patch + 1);
+
+  if (given === 0) return op === "<" || op === ">" ? [bound("<", 0, 0, 0)] : [];
+  const low = bound(">=", major, given > 1 ? minor : 0, given > 2 ? patch : 0, prerelease);
+
+  switch (op) {
+    case "^": {
+      const level = major > 0 || given === 1 ? 0 : minor > 0 || given === 2 ? 1 : 2;
+      return [low, next(level)];
+    }
+    case "~":
+      return [low, next(given === 1 ? 0 : 1)];
+    case ">":
+      return given === 3 ? [bound(">", major, minor, patch, prerelease)] : [{ ...next(given - 1), op: ">=" }];
+    case ">=":
+      return [low];
+    case "<":
+      return [bound("<", major, given > 1 ? minor : 0, given > 2 ? patch : 0, prerelease)];
+    case "<=":
+      return given === 3 ? [bound("<=", major, minor, patch, prerelease)] : [next(given - 1)];
+    default:
+      return given === 3 ? [bound("=", major, minor, patch, prerelease)] : [low, next(given - 1)];
+  }
+}
+
+function parseRange(range) {
+  if (typeof range !== "string") return null;
+  const sets = range.trim().split("||").map((set) => {
+    const tokens = set.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, "$1").split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return [];
+    const comparators = tokens.map((token) => {
+      const match = token.match(COMPARATOR_PATTERN);
+      const partial = match ? parsePartial(match[2]) : null;
+      return partial ? desugar(match[1] || "=", partial) : null;
+    });
+    return comparators.includes(null) ? null : comparators.flat();
+  });
+  return sets.includes(null) ? null : sets;
+}
+
+function testComparator(comparator, version) {
+  const order = compareParsed(version, comparator.version);
+  switch (comparator.op) {
+    case "<": return order < 0;
+    case "<=": return order <= 0;
+    case ">": return order > 0;
+    case ">=": return order >= 0;
+    default: return order === 0;
+  }
+}
+
+// As in npm, a prerelease only matches a range that names a prerelease of the
+// same major.minor.patch, so ^1.2.0 never picks 2.0.0-beta.
+function testSet(set, version) {
+  if (!set.every((comparator) => testComparator(comparator, version))) return false;
+  return version.prerelease.length === 0 || set.some(({ version: other }) =>
+    other.prerelease.length > 0
+      && other.major === version.major
+      && other.minor === version.minor
+      && other.patch === version.patch
+  );
+}
+
+function satisfies(version, range) {
+  const parsed = parseVersion(version);
+  const sets = typeof range === "string" ? parseRange(range) : range;
+  return Boolean(parsed && sets) && sets.some((set) => testSet(set, parsed));
+}
+
+function maxSatisfying(versions, range) {
+  const sets = parseRange(range);
+  if (!sets) throw new Error(`Invalid version range: ${range}`);
+  return (Array.isArray(versions) ? versions : [])
+    .filter((version) => satisfies(version, sets))
+    .sort(compareVersionsDesc)[0] || null;
+}
+
+function resolveVersion(lib, range = "latest") {
+  if (!lib) return null;
+  if (range === "latest") return lib.latest || null;
+  return maxSatisfying(lib.versions, range);
+}
+
+function parseSpecifier(spec) {
+  const text = typeof spec === "string" ? spec.trim() : "";
+  const at = text.indexOf("@");
+  const id = at === -1 ? text : text.slice(0, at);
+  const range = at === -1 ? "latest" : text.slice(at + 1).trim();
+  if (!LIBRARY_ID_PATTERN.test(id) || !range || (range !== "latest" && !parseRange(range))) {
+    throw new Error(`Invalid library specifier: ${spec}`);
+  }
+  return { id, range };
+}
+
+function resolveSpecifier(indexData, spec) {
+  const { id, range } = parseSpecifier(spec);
+  const libraries = indexData && Array.isArray(indexData.libraries) ? indexData.libraries : [];
+  const lib = libraries.find((entry) => entry && entry.id === id);
+  return { id, range, version: resolveVersion(lib, range) };
+}
+
+module.exports = {
+  parseVersion,
+  isValidVersion,
+  compareVersions,
+  compareVersionsDesc,
+  toVersionKey,
+  fromVersionKey,
+  findInvalidVersions,
+  parseRange,
+  satisfies,
+  maxSatisfying,
+  resolveVersion,
+  parseSpecifier,
+  resolveSpecifier,
+};
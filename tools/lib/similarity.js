@@ -0,0 +1,140 @@
+const crypto = require("crypto");
+const { REPO_ROOT, toVersionKey, readXodball, listPatches, listNodes, listAttachments } = require("./xodball");
+
+const SIMILARITY_THRESHOLD = 0.5;
+const MAX_SIMILAR = 5;
+const CPP_ATTACHMENT = "patch.cpp";
+
+function hashValue(value) {
+  return crypto.createHash("sha256").update(value).digest("hex").slice(0, 16);
+}
+
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort((a, b) => a.localeCompare(b))
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// A copied library references its own patches by its new name, so own-id
+// node types are rewritten to "@/" before hashing.
+function normalizePatch(patch, ownId) {
+  const rest = Object.fromEntries(Object.entries(patch).filter(([key]) => key !== "path"));
+  const nodes = rest.nodes && typeof rest.nodes === "object" ? rest.nodes : {};
+  return {
+    ...rest,
+    nodes: Object.fromEntries(
+      Object.entries(nodes).map(([key, node]) => [
+        key,
+        node && typeof node.type === "string" && node.type.startsWith(`${ownId}/`)
+          ? { ...node, type: `@/${node.type.slice(ownId.length + 1)}` }
+          : node,
+      ])
+    ),
+  };
+}
+
+function fingerprintXodball(xodball, ownId) {
+  const localPatches = listPatches(xodball)
+    .filter((patch) => patch.path.startsWith("@/") && listNodes(patch).length > 0);
+  const patches = localPatches.map((patch) => hashValue(canonicalJson(normalizePatch(patch, ownId))));
+  const cpp = localPatches.flatMap((patch) =>
+    listAttachments(patch)
+      .filter((attachment) => attachment.filename === CPP_ATTACHMENT && typeof attachment.content === "string")
+      .map((attachment) => `cpp:${hashValue(attachment.content.trim())}`)
+  );
+
+  const features = [...new Set([...patches, ...cpp])].sort((a, b) => a.localeCompare(b));
+  return {
+    patchSet: hashValue([...new Set(patches)].sort((a, b) => a.localeCompare(b)).join(",")),
+    patchCount: new Set(patches).size,
+    features,
+  };
+}
+
+function jaccard(a, b) {
+  const setB = new Set(b);
+  const shared = a.filter((feature) => setB.has(feature)).length;
+  return shared / (a.length + b.length - shared);
+}
+
+function byOriginality(a, b) {
+  if (a.updatedAt && !b.updatedAt) return -1;
+  if (!a.updatedAt && b.updatedAt) return 1;
+  if (a.updatedAt !== b.updatedAt) return a.updatedAt.localeCompare(b.updatedAt);
+  return a.id.localeCompare(b.id);
+}
+
+function findSimilarLibraries(fingerprints, libraries) {
+  const byId = new Map(libraries.map((lib) => [lib.id, lib]));
+  const ids = Object.keys(fingerprints)
+    .filter((id) => fingerprints[id].patchCount > 0)
+    .sort((a, b) => a.localeCompare(b));
+  const result = Object.fromEntries(ids.map((id) => [id, { duplicateOf: null, similarTo: [] }]));
+
+  const clusters = new Map();
+  ids.forEach((id) => {
+    const key = fingerprints[id].patchSet;
+    if (!clusters.has(key)) clusters.set(key, []);
+    clusters.get(key).push(id);
+  });
+  clusters.forEach((members) => {
+    if (members.length < 2) return;
+    const [original] = members.map((id) => byId.get(id) || { id, updatedAt: null }).sort(byOriginality);
+    members.filter((id) => id !== original.id).forEach((id) => {
+      result[id].duplicateOf = original.id;
+    });
+  });
+
+  const postings = new Map();
+  ids.forEach((id) => {
+    fingerprints[id].features.forEach((feature) => {
+      if (!postings.has(feature)) postings.set(feature, []);
+      postings.get(feature).push(id);
+    });
+  });
+
+  ids.forEach((id) => {
+    const candidates = new Set(fingerprints[id].features.flatMap((feature) => postings.get(feature)));
+    result[id].similarTo = [...candidates]
+      .filter((other) => other !== id && fingerprints[other].patchSet !== fingerprints[id].patchSet)
+      .map((other) => ({
+        id: other,
+        score: Math.round(jaccard(fingerprints[id].features, fingerprints[other].features) * 100) / 100,
+      }))
+      .filter((entry) => entry.score >= SIMILARITY_THRESHOLD)
+      .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id))
+      .slice(0, MAX_SIMILAR);
+  });
+
+  return result;
+}
+
+async function buildSimilarity(libraries, artifacts, rootDir = REPO_ROOT) {
+  const fingerprints = {};
+
+  for (const lib of libraries) {
+    const artifact = artifacts[`${lib.id}@${toVersionKey(lib.latest)}`];
+    if (!artifact) continue;
+
+    try {
+      const xodball = await readXodball(artifact, rootDir);
+      if (xodball) fingerprints[lib.id] = fingerprintXodball(xodball, lib.id);
+    } catch (error) {
+      console.warn(`Similarity fingerprint failed for ${lib.id}@${lib.latest}: ${error.message}`);
+    }
+  }
+
+  return findSimilarLibraries(fingerprints, libraries);
+}
+
+module.exports = {
+  SIMILARITY_THRESHOLD,
+  fingerprintXodball,
+  findSimilarLibraries,
+  buildSimilarity,
+};
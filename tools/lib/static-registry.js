@@ -0,0 +1,69 @@
+const { SCHEMA_VERSION } = require("./schema");
+const { toVersionKey, fromVersionKey } = require("./semver");
+const {
+  buildSwaggerDocument,
+  createRegistry,
+  listVersions,
+  resolveXodballArtifact,
+} = require("./mirror-registry");
+
+const MANIFEST_FILE = "manifest.json";
+const SWAGGER_FILE = "swagger/swagger.json";
+
+function libraryDir(id) {
+  const [owner, libname] = id.split("/");
+  return `orgs/${owner}/libs/${libname}`;
+}
+
+function xodballPath(id, semverOrLatest) {
+  return `${libraryDir(id)}/versions/${semverOrLatest}/xodball`;
+}
+
+function toJsonFile(filePath, payload) {
+  return { path: filePath, content: `${JSON.stringify(payload, null, 2)}\n` };
+}
+
+function planStaticRegistry(indexData, mirrorIndex) {
+  const artifacts = Object.fromEntries(
+    (mirrorIndex.artifacts || []).map((artifact) => [`${artifact.id}@${artifact.version}`, artifact])
+  );
+  const registry = createRegistry(indexData, artifacts);
+  const files = [toJsonFile(SWAGGER_FILE, buildSwaggerDocument(null, ["getLibVersionXodball"]))];
+  const libraries = [];
+
+  for (const id of [...registry.mirrored.keys()].sort((a, b) => a.localeCompare(b))) {
+    const versions = listVersions(registry, id).map(({ semver }) => {
+      const artifact = artifacts[`${id}@${toVersionKey(semver)}`];
+      files.push({ path: xodballPath(id, semver), source: artifact });
+      return { semver, path: xodballPath(id, semver), sha256: artifact.sha256, bytes: artifact.bytes };
+    });
+    const latest = resolveXodballArtifact(registry, id, "latest") || artifacts[`${id}@${toVersionKey(versions[0].semver)}`];
+    const latestEntry = versions.find((entry) => entry.semver === fromVersionKey(latest.version));
+
+    files.push({ path: xodballPath(id, "latest"), source: latest });
+    files.push(toJsonFile(`${libraryDir(id)}/versions.json`, versions.map(({ semver, sha256, bytes }) => ({ semver, sha256, bytes }))));
+    files.push(toJsonFile(`${libraryDir(id)}/latest.json`, {
+      semver: latestEntry.semver,
+      xodball: `versions/${latestEntry.semver}/xodball`,
+      sha256: latestEntry.sha256,
+    }));
+    libraries.push({ id, latest: latestEntry.semver, versions });
+  }
+
+  const manifest = {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt: mirrorIndex.generatedAt,
+    sourceIndexGeneratedAt: mirrorIndex.sourceIndexGeneratedAt,
+    swagger: SWAGGER_FILE,
+    libraries,
+  };
+  files.push(toJsonFile(MANIFEST_FILE, manifest));
+  return { manifest, files };
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  SWAGGER_FILE,
+  xodballPath,
+  planStaticRegistry,
+};
@@ -0,0 +1,163 @@
+const { listNodes } = require("./xodball");
+
+const LINT_VERSION = 1;
+const RULES = {
+  "invalid-structure": "error",
+  "invalid-node": "error",
+  "invalid-link": "error",
+  "dangling-link": "error",
+  "invalid-attachment": "error",
+  "unresolved-node-type": "error",
+  "empty-cpp": "error",
+  "missing-description": "warning",
+};
+const PATCH_NODES_PREFIX = "xod/patch-nodes/";
+const NOT_IMPLEMENTED = `${PATCH_NODES_PREFIX}not-implemented-in-xod`;
+const UTILITY = `${PATCH_NODES_PREFIX}utility`;
+const CPP_ATTACHMENT = "patch.cpp";
+// Bodies XOD generates for a new C++ node, compared with whitespace removed.
+const CPP_TEMPLATES = [
+  /^$/,
+  /^(structState\{\};)?(\{\{GENERATED_CODE\}\})?voidevaluate\(Contextctx\)\{\}$/,
+  /^node\{voidevaluate\(Contextctx\)\{\}\}$/,
+];
+
+function isObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function issue(rule, patch, message, extra = {}) {
+  return { rule, severity: RULES[rule], patch, ...extra, message };
+}
+
+function decodeAttachment(attachment) {
+  return attachment.encoding === "base64"
+    ? Buffer.from(attachment.content, "base64").toString("utf8")
+    : attachment.content;
+}
+
+function isEmptyCpp(source) {
+  const code = source
+    .replace(/\/\*[\s\S]*?\*\//g, "")
+    .replace(/\/\/[^\n]*/g, "")
+    .replace(/\s+/g, "");
+  return CPP_TEMPLATES.some((template) => template.test(code));
+}
+
+function localPatchName(type, ownId) {
+  if (type.startsWith("@/")) return type.slice(2);
+  if (ownId && type.startsWith(`${ownId}/`)) return type.slice(ownId.length + 1);
+  return null;
+}
+
+// Terminals of custom types are written as @/input-<type> or @/output-<type>.
+function resolvesLocally(name, localNames) {
+  if (localNames.has(name)) return true;
+  const terminal = name.match(/^(?:input|output)-(.+)$/);
+  return Boolean(terminal) && localNames.has(terminal[1]);
+}
+
+function lintNodes(patchPath, patch, ownId, localNames) {
+  return Object.entries(isObject(patch.nodes) ? patch.nodes : {}).flatMap(([key, node]) => {
+    if (!isObject(node) || typeof node.type !== "string" || node.type === "") {
+      return [issue("invalid-node", patchPath, "Node has no type", { node: key })];
+    }
+    const local = localPatchName(node.type, ownId);
+    if (local !== null && !resolvesLocally(local, localNames)) {
+      return [issue("unresolved-node-type", patchPath, `Node type ${node.type} has no matching patch`, { node: key })];
+    }
+    return [];
+  });
+}
+
+function lintLinks(patchPath, patch) {
+  const nodes = isObject(patch.nodes) ? patch.nodes : {};
+  return Object.entries(isObject(patch.links) ? patch.links : {}).flatMap(([key, link]) => {
+    const ends = isObject(link) ? [link.output, link.input] : [];
+    if (ends.length === 0 || ends.some((end) => !isObject(end) || typeof end.nodeId !== "string")) {
+      return [issue("invalid-link", patchPath, "Link needs an output and an input node", { link: key })];
+    }
+    const missing = ends.map((end) => end.nodeId).filter((nodeId) => !nodes[nodeId]);
+    return missing.length > 0
+      ? [issue("dangling-link", patchPath, `Link points to missing node ${missing.join(", ")}`, { link: key })]
+      : [];
+  });
+}
+
+function lintAttachments(patchPath, patch) {
+  const attachments = patch.attachments === undefined ? [] : patch.attachments;
+  if (!Array.isArray(attachments)) {
+    return { issues: [issue("invalid-attachment", patchPath, "attachments is not a list")], cpp: null };
+  }
+
+  const issues = [];
+  let cpp = null;
+  attachments.forEach((attachment) => {
+    if (!isObject(attachment) || typeof attachment.filename !== "string" || typeof attachment.content !== "string") {
+      issues.push(issue("invalid-attachment", patchPath, "Attachment needs a filename and string content"));
+      return;
+    }
+    if (attachment.filename === CPP_ATTACHMENT) cpp = decodeAttachment(attachment);
+  });
+  return { issues, cpp };
+}
+
+function lintPatch(patchPath, patch, ownId, localNames) {
+  if (!isObject(patch)) return [issue("invalid-structure", patchPath, "Patch is not an object")];
+
+  const nodeTypes = listNodes(patch).map((node) => node.type);
+  const attachments = lintAttachments(patchPath, patch);
+  const issues = [
+    ...lintNodes(patchPath, patch, ownId, localNames),
+    ...lintLinks(patchPath, patch),
+    ...attachments.issues,
+  ];
+
+  if (nodeTypes.includes(NOT_IMPLEMENTED)) {
+    if (attachments.cpp === null) {
+      issues.push(issue("empty-cpp", patchPath, "C++ node has no patch.cpp"));
+    } else if (isEmptyCpp(attachments.cpp)) {
+      issues.push(issue("empty-cpp", patchPath, "patch.cpp has no implementation"));
+    }
+  }
+  if (!nodeTypes.includes(UTILITY) && !(typeof patch.description === "string" && patch.description.trim())) {
+    issues.push(issue("missing-description", patchPath, "Patch has no description"));
+  }
+  return issues;
+}
+
+function lintPatches(patches, ownId) {
+  const localPaths = Object.keys(patches)
+    .filter((patchPath) => patchPath.startsWith("@/"))
+    .sort((a, b) => a.localeCompare(b));
+  const localNames = new Set(localPaths.map((patchPath) => patchPath.slice(2)));
+  return localPaths.flatMap((patchPath) => lintPatch(patchPath, patches[patchPath], ownId, localNames));
+}
+
+function lintXodball(xodball, ownId) {
+  const issues = isObject(xodball) && isObject(xodball.patches)
+    ? lintPatches(xodball.patches, ownId)
+    : [issue("invalid-structure", null, "Xodball has no patches object")];
+
+  return {
+    errors: issues.filter((item) => item.severity === "error").length,
+    warnings: issues.filter((item) => item.severity === "warning").length,
+    issues,
+  };
+}
+
+function toQualitySignals(report) {
+  return {
+    hasDescriptions: !report.issues.some((item) => item.rule === "missing-description" || item.rule === "invalid-structure"),
+    lintErrors: report.errors,
+    lintWarnings: report.warnings,
+  };
+}
+
+module.exports = {
+  LINT_VERSION,
+  RULES,
+  isEmptyCpp,
+  lintXodball,
+  toQualitySignals,
+};
@@ -0,0 +1,72 @@
+const fs = require("fs").promises;
+const path = require("path");
+const { toVersionKey, compareVersionsDesc } = require("./semver");
+
+const REPO_ROOT = path.resolve(__dirname, "..", "..");
+const MIRROR_STATE_PATH = path.resolve(REPO_ROOT, "mirror", "state.json");
+
+async function readMirrorArtifacts(statePath = MIRROR_STATE_PATH) {
+  try {
+    const state = JSON.parse(await fs.readFile(statePath, "utf8"));
+    return state && state.artifacts && typeof state.artifacts === "object"
+      ? state.artifacts
+      : {};
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+}
+
+function findArtifact(artifacts, id, version) {
+  const key = toVersionKey(version);
+  if (key && artifacts[`${id}@${key}`]) return artifacts[`${id}@${key}`];
+
+  const candidates = Object.values(artifacts).filter((entry) => entry && entry.id === id);
+  return candidates.length > 0 ? candidates.sort((a, b) => compareVersionsDesc(a.version, b.version))[0] : null;
+}
+
+async function readXodball(artifact, rootDir = REPO_ROOT) {
+  if (!artifact || !artifact.path) return null;
+  try {
+    return JSON.parse(await fs.readFile(path.resolve(rootDir, artifact.path), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+function listPatches(xodball) {
+  const patches = xodball && xodball.patches && typeof xodball.patches === "object"
+    ? xodball.patches
+    : {};
+  return Object.keys(patches)
+    .sort((a, b) => a.localeCompare(b))
+    .map((patchPath) => ({ ...patches[patchPath], path: patches[patchPath].path || patchPath }));
+}
+
+function listNodes(patch) {
+  const nodes = patch && patch.nodes && typeof patch.nodes === "object" ? patch.nodes : {};
+  return Object.values(nodes).filter((node) => node && typeof node.type === "string");
+}
+
+function listAttachments(patch) {
+  return (patch && Array.isArray(patch.attachments) ? patch.attachments : [])
+    .filter((attachment) => attachment && typeof attachment.filename === "string");
+}
+
+function findAttachment(patch, filename) {
+  return listAttachments(patch).find((attachment) => attachment.filename === filename) || null;
+}
+
+module.exports = {
+  REPO_ROOT,
+  MIRROR_STATE_PATH,
+  toVersionKey,
+  readMirrorArtifacts,
+  findArtifact,
+  readXodball,
+  listPatches,
+  listNodes,
+  listAttachments,
+  findAttachment,
+};
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+const { parseArgs } = require("util");
+const { REPO_ROOT, readXodball } = require("./lib/xodball");
+const { SCHEMA_VERSION, assertMatchesSchema } = require("./lib/schema");
+const { LINT_VERSION, RULES, lintXodball } = require("./lib/xodball-lint");
+
+const LINT_REPORT_FILE = "lint.json";
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+async function writeJsonAtomic(filePath, payload) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, `${JSON.stringify(payload, null, 2)}\n`, "utf8");
+  await fs.rename(tmpPath, filePath);
+}
+
+async function lintArtifact(artifact, rootDir) {
+  let xodball;
+  try {
+    xodball = await readXodball(artifact, rootDir);
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    return {
+      errors: 1,
+      warnings: 0,
+      issues: [{ rule: "invalid-structure", severity: "error", patch: null, message: "Xodball is not valid JSON" }],
+    };
+  }
+  return xodball ? lintXodball(xodball, artifact.id) : null;
+}
+
+function summarize(versions) {
+  const reports = Object.values(versions);
+  const byRule = Object.fromEntries(Object.keys(RULES).map((rule) => [rule, 0]));
+  reports.forEach((report) => report.issues.forEach((item) => {
+    byRule[item.rule] += 1;
+  }));
+  return {
+    versions: reports.length,
+    clean: reports.filter((report) => report.issues.length === 0).length,
+    withErrors: reports.filter((report) => report.errors > 0).length,
+    errors: reports.reduce((sum, report) => sum + report.errors, 0),
+    warnings: reports.reduce((sum, report) => sum + report.warnings, 0),
+    byRule,
+  };
+}
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      root: { type: "string" },
+    },
+  });
+  return { rootDir: values.root ? path.resolve(values.root) : REPO_ROOT };
+}
+
+async function run(options) {
+  const mirrorIndexPath = path.join(options.rootDir, "mirror", "index.json");
+  const mirrorIndex = await readJson(mirrorIndexPath, null);
+  if (!mirrorIndex || !Array.isArray(mirrorIndex.artifacts)) {
+    throw new Error(`Invalid mirror manifest at ${mirrorIndexPath}`);
+  }
+
+  const reportPath = path.join(options.rootDir, "mirror", LINT_REPORT_FILE);
+  const previous = await readJson(reportPath, {});
+  const reusable = previous.lintVersion === LINT_VERSION && previous.versions ? previous.versions : {};
+  const versions = {};
+  let linted = 0;
+
+  const artifacts = [...mirrorIndex.artifacts].sort((a, b) =>
+    `${a.id}@${a.version}`.localeCompare(`${b.id}@${b.version}`)
+  );
+  for (const artifact of artifacts) {
+    const key = `${artifact.id}@${artifact.version}`;
+    if (reusable[key] && reusable[key].sha256 === artifact.sha256) {
+      versions[key] = reusable[key];
+      continue;
+    }
+
+    const report = await lintArtifact(artifact, options.rootDir);
+    if (!report) {
+      console.warn(`Skipped ${key}: ${artifact.path} is missing`);
+      continue;
+    }
+    versions[key] = { sha256: artifact.sha256, ...report };
+    linted += 1;
+  }
+
+  const lintReport = {
+    schemaVersion: SCHEMA_VERSION,
+    lintVersion: LINT_VERSION,
+    generatedAt: new Date().toISOString(),
+    sourceMirrorGeneratedAt: mirrorIndex.generatedAt || null,
+    rules: RULES,
+    summary: summarize(versions),
+    versions,
+  };
+  assertMatchesSchema("lintReport", lintReport);
+  await writeJsonAtomic(reportPath, lintReport);
+
+  const { summary } = lintReport;
+  console.log(
+    `Lint: ${summary.versions} versions (${linted} linted, ${summary.versions - linted} reused), `
+      + `${summary.withErrors} with errors, ${summary.errors} errors, ${summary.warnings} warnings`
+  );
+  return lintReport;
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => run(parseCli(process.argv.slice(2))))
+    .catch((error) => {
+      console.error(`Lint failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { run };
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+const { parseArgs } = require("util");
+const { REPO_ROOT } = require("./lib/xodball");
+const { parseSpecifier } = require("./lib/semver");
+const { assertMatchesSchema } = require("./lib/schema");
+const { readProject, toArtifactMap, buildLockfile, checkLockfile } = require("./lib/lockfile");
+
+const USAGE = `Usage: node tools/lock.js <project.xodball | project dir> [options]
+
+Options:
+  --require <owner/lib@range>
+                       Lock a library within a range instead of its latest version (repeatable)
+  --lockfile <path>    Lockfile to write or check (default: xod-lock.json next to the project)
+  --check              Verify an existing lockfile against the mirror and the project
+  --json               Print the check report as JSON
+  --root <path>        Read index/ and mirror/ from another checkout
+  -h, --help           Show this help`;
+
+async function readJson(filePath) {
+  return JSON.parse(await fs.readFile(filePath, "utf8"));
+}
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      require: { type: "string", multiple: true, default: [] },
+      lockfile: { type: "string" },
+      check: { type: "boolean", default: false },
+      json: { type: "boolean", default: false },
+      root: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (values.help) return { help: true };
+  if (positionals.length !== 1) throw new Error(`Expected one project path\n\n${USAGE}`);
+  if (values.check && values.require.length > 0) throw new Error("--require cannot be combined with --check");
+
+  return {
+    projectPath: positionals[0],
+    ranges: Object.fromEntries(values.require.map(parseSpecifier).map(({ id, range }) => [id, range])),
+    lockfilePath: values.lockfile ? path.resolve(values.lockfile) : null,
+    check: values.check,
+    json: values.json,
+    rootDir: values.root ? path.resolve(values.root) : REPO_ROOT,
+  };
+}
+
+async function loadSources(rootDir) {
+  const indexData = await readJson(path.join(rootDir, "index", "index.json"));
+  const mirrorIndex = await readJson(path.join(rootDir, "mirror", "index.json"));
+  return { indexData, artifacts: toArtifactMap(mirrorIndex), rootDir };
+}
+
+function logCheckReport(report) {
+  report.missing.forEach((item) => console.warn(`missing: ${item.id}@${item.version} (${item.reason})`));
+  report.mismatched.forEach((item) => {
+    console.warn(`mismatched: ${item.id}@${item.version} (locked ${item.locked}, mirror ${item.actual})`);
+  });
+  report.added.forEach((id) => console.warn(`not locked: ${id} is used by the project`));
+  report.removed.forEach((id) => console.warn(`unused: ${id} is locked but no longer used`));
+  report.outdated.forEach((item) => {
+    console.log(`outdated: ${item.id}@${item.locked} (index resolves ${item.available || "nothing"})`);
+  });
+  console.log(
+    `Lockfile check: checked=${report.checked}, ok=${report.ok}, missing=${report.missing.length}, `
+      + `mismatched=${report.mismatched.length}, notLocked=${report.added.length}, unused=${report.removed.length}, `
+      + `outdated=${report.outdated.length}`
+  );
+}
+
+async function run(options) {
+  const project = await readProject(options.projectPath);
+  const lockfilePath = options.lockfilePath || project.lockfilePath;
+  const sources = await loadSources(options.rootDir);
+
+  if (options.check) {
+    const lockfile = await readJson(lockfilePath);
+    assertMatchesSchema("lockfile", lockfile);
+    const report = await checkLockfile(lockfile, project, sources);
+    if (options.json) console.log(JSON.stringify(report, null, 2));
+    else logCheckReport(report);
+    if (!report.passed) process.exitCode = 1;
+    return report;
+  }
+
+  const { lockfile, problems } = await buildLockfile(project, { ...sources, ranges: options.ranges });
+  if (problems.length > 0) {
+    throw new Error(`cannot lock ${project.name}:\n${problems.map((problem) => `  ${problem.message}`).join("\n")}`);
+  }
+  assertMatchesSchema("lockfile", lockfile);
+  await fs.writeFile(lockfilePath, `${JSON.stringify(lockfile, null, 2)}\n`, "utf8");
+  console.log(`Locked ${Object.keys(lockfile.libraries).length} libraries for ${project.name} in ${lockfilePath}`);
+  return lockfile;
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => {
+      const options = parseCli(process.argv.slice(2));
+      if (options.help) {
+        console.log(USAGE);
+        return null;
+      }
+      return run(options);
+    })
+    .catch((error) => {
+      console.error(`Lock failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { run };
@@ -2,15 +2,37 @@
 
 const fs = require('fs').promises;
 const path = require('path');
-const crypto = require('crypto');
-
+const { parseArgs } = require('util');
+const { SCHEMA_VERSION, assertMatchesSchema } = require('./lib/schema');
+const { compareVersions, toVersionKey } = require('./lib/semver');
+const { createRequestScheduler, mapWithConcurrency } = require('./lib/request-scheduler');
+const {
+  PM_SWAGGER_URL,
+  fetchSwaggerSpec,
+  resolveOperationPath,
+  buildPathFromTemplate,
+  buildBaseUrl,
+} = require('./lib/pm-api');
+const {
+  PROBLEM_KINDS,
+  sha256,
+  serializeXodball,
+  verifyArtifacts,
+} = require('./lib/mirror-verify');
+const {
+  writeArtifactContent,
+  migrateToContentStore,
+  buildDuplicateClusters,
+} = require('./lib/content-store');
+
+const REPO_ROOT = path.resolve(__dirname, '..');
 const INDEX_PATH = path.resolve(__dirname, '..', 'index', 'index.json');
+const REMOVED_PATH = path.resolve(__dirname, '..', 'index', 'removed.json');
 const MIRROR_DIR = path.resolve(__dirname, '..', 'mirror');
 const MIRROR_LIBS_DIR = path.resolve(MIRROR_DIR, 'libs');
 const MIRROR_INDEX_PATH = path.resolve(MIRROR_DIR, 'index.json');
 const MIRROR_STATE_PATH = path.resolve(MIRROR_DIR, 'state.json');
 
-const PM_SWAGGER_URL = process.env.PM_SWAGGER_URL || 'https://pm.xod.io/swagger/';
 const REQUEST_TIMEOUT_MS = 20_000;
 const RETRYABLE_STATUS_CODES = new Set([408, 429, 500, 502, 503, 504]);
 const MAX_FETCH_RETRIES = 4;
@@ -22,21 +44,10 @@ function normalizeId(value) {
   return /^[a-z0-9._-]+\/[a-z0-9._-]+$/i.test(cleaned) ? cleaned.toLowerCase() : null;
 }
 
-function toNonEmptyString(value) {
-  return typeof value === 'string' && value.trim() !== '' ? value.trim() : null;
-}
-
 function uniqStrings(values) {
   return [...new Set(values.filter((x) => typeof x === 'string' && x.trim()).map((x) => x.trim()))];
 }
 
-function prependVIfNeeded(version) {
-  const value = toNonEmptyString(version);
-  if (!value) return null;
-  if (value === 'latest') return value;
-  return value.startsWith('v') ? value : `v${value}`;
-}
-
 function parseId(id) {
   const normalized = normalizeId(id);
   if (!normalized) return null;
@@ -59,110 +70,26 @@ async function writeJson(filePath, payload) {
   await fs.rename(tmpPath, filePath);
 }
 
-async function fetchWithTimeout(url) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-  try {
-    return await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        'user-agent': 'xod2-library-index-mirror/1.0 (+https://github.com/JoyfulOak/xod2-libraries-index)',
-      },
-    });
-  } finally {
-    clearTimeout(timeout);
-  }
-}
-
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-
-async function fetchJsonWithRetry(url, retries = MAX_FETCH_RETRIES) {
-  let attempt = 0;
-  let lastError = null;
-
-  while (attempt <= retries) {
-    attempt += 1;
-    try {
-      const response = await fetchWithTimeout(url);
-      if (!response.ok) {
-        if (!RETRYABLE_STATUS_CODES.has(response.status)) {
-          throw new Error(`HTTP ${response.status}`);
-        }
-        lastError = new Error(`HTTP ${response.status}`);
-      } else {
-        return await response.json();
-      }
-    } catch (error) {
-      lastError = error;
-      if (error.message && /^HTTP\s\d+/.test(error.message) && !RETRYABLE_STATUS_CODES.has(Number(error.message.split(' ')[1]))) {
-        break;
-      }
-    }
-
-    if (attempt > retries) break;
-    const delay = RETRY_BASE_DELAY_MS * attempt;
-    console.warn(`Retrying ${url} (attempt ${attempt}/${retries}) after ${delay}ms due to ${lastError.message}`);
-    await sleep(delay);
-  }
-
-  throw new Error(`Failed to fetch ${url} after ${retries + 1} attempts: ${lastError && lastError.message ? lastError.message : 'unknown error'}`);
-}
-
-async function fetchSwaggerSpec(swaggerUrl) {
-  const normalized = swaggerUrl.endsWith('/') ? swaggerUrl : `${swaggerUrl}/`;
-  const candidates = [normalized, `${normalized}swagger.json`];
-  let lastError = null;
-
-  for (const url of candidates) {
-    try {
-      return await fetchJsonWithRetry(url);
-    } catch (error) {
-      lastError = error;
-    }
-  }
-
-  throw new Error(`Unable to fetch swagger spec from ${candidates.join(', ')}: ${lastError && lastError.message ? lastError.message : 'unknown error'}`);
-}
-
-function resolveOperationPath(swaggerSpec, operationId) {
-  if (!swaggerSpec || typeof swaggerSpec !== 'object' || !swaggerSpec.paths) {
-    throw new Error('Invalid swagger spec, missing paths');
-  }
+const scheduler = createRequestScheduler({
+  timeoutMs: REQUEST_TIMEOUT_MS,
+  retries: MAX_FETCH_RETRIES,
+  baseDelayMs: RETRY_BASE_DELAY_MS,
+  retryableStatusCodes: [...RETRYABLE_STATUS_CODES],
+  headers: {
+    'user-agent': 'xod2-library-index-mirror/1.0 (+https://github.com/JoyfulOak/xod2-library-index)',
+  },
+  onRetry: ({ url, attempt, retries, delay, reason }) => {
+    console.warn(`Retrying ${url} (attempt ${attempt}/${retries}) after ${delay}ms due to ${reason}`);
+  },
+});
 
-  const paths = Object.keys(swaggerSpec.paths);
-  for (const p of paths) {
-    const methods = swaggerSpec.paths[p] || {};
-    for (const method of Object.keys(methods)) {
-      const op = methods[method];
-      if (op && op.operationId === operationId) {
-        return { pathTemplate: p, method: method.toUpperCase() };
-      }
-    }
+async function fetchJsonWithRetry(url) {
+  const response = await scheduler.request(url);
+  if (!response.ok) {
+    const attempts = RETRYABLE_STATUS_CODES.has(response.status) ? ` after ${MAX_FETCH_RETRIES + 1} attempts` : '';
+    throw new Error(`Failed to fetch ${url}${attempts}: HTTP ${response.status}`);
   }
-
-  throw new Error(`Operation ${operationId} not found in swagger spec`);
-}
-
-function buildPathFromTemplate(pathTemplate, params) {
-  const aliases = {
-    orgname: ['orgname', 'owner', 'org'],
-    libname: ['libname', 'library', 'name'],
-    semver_or_latest: ['semver_or_latest', 'version', 'semverOrLatest'],
-  };
-
-  return pathTemplate.replace(/\{([^}]+)\}/g, (_, key) => {
-    const choices = aliases[key] || [key];
-    const value = choices.find((choice) => choice in params);
-    if (!value) {
-      throw new Error(`Missing path parameter: ${key}`);
-    }
-    return encodeURIComponent(params[value]);
-  });
-}
-
-function buildBaseUrl(swaggerUrl) {
-  const url = new URL(swaggerUrl);
-  return `${url.protocol}//${url.host}`;
+  return JSON.parse(response.text);
 }
 
 function toArtifactsFromState(state) {
@@ -171,10 +98,18 @@ function toArtifactsFromState(state) {
     .sort((a, b) => {
       const byId = a.id.localeCompare(b.id);
       if (byId !== 0) return byId;
-      return a.version.localeCompare(b.version);
+      return compareVersions(a.version, b.version);
     });
 }
 
+function toOrphanStatus(artifact, indexedIds, tombstones) {
+  if (indexedIds.has(artifact.id)) return null;
+  const tombstone = tombstones[artifact.id];
+  return tombstone
+    ? { reason: 'removedUpstream', removedAt: tombstone.removedAt }
+    : { reason: 'notInIndex' };
+}
+
 async function run() {
   if (typeof fetch !== 'function') {
     throw new Error('Global fetch is unavailable. Please run with Node.js 20+.');
@@ -185,17 +120,24 @@ async function run() {
     throw new Error(`Invalid index file at ${INDEX_PATH}`);
   }
 
+  const removedData = await readJson(REMOVED_PATH, { libraries: [] });
+  const tombstones = Object.fromEntries(
+    (Array.isArray(removedData.libraries) ? removedData.libraries : [])
+      .filter((entry) => entry && normalizeId(entry.id))
+      .map((entry) => [entry.id, entry]),
+  );
+
   await fs.mkdir(MIRROR_LIBS_DIR, { recursive: true });
   const stateData = await readJson(MIRROR_STATE_PATH, { artifacts: {} });
-  const priorArtifacts = stateData && stateData.artifacts && typeof stateData.artifacts === 'object'
+  const storedArtifacts = stateData && stateData.artifacts && typeof stateData.artifacts === 'object'
     ? stateData.artifacts
     : {};
 
-  const swaggerSpec = await fetchSwaggerSpec(PM_SWAGGER_URL);
+  const swaggerSpec = await fetchSwaggerSpec(PM_SWAGGER_URL, fetchJsonWithRetry);
   const { pathTemplate } = resolveOperationPath(swaggerSpec, 'getLibVersionXodball');
   const apiBase = buildBaseUrl(PM_SWAGGER_URL);
 
-  const nextArtifacts = { ...priorArtifacts };
+  const nextArtifacts = { ...storedArtifacts };
   const stats = {
     totalCandidates: 0,
     downloaded: 0,
@@ -207,98 +149,296 @@ async function run() {
     .filter((lib) => normalizeId(lib && lib.id))
     .sort((a, b) => a.id.localeCompare(b.id));
 
-  for (const lib of sortedLibraries) {
+  const candidates = sortedLibraries.flatMap((lib) => {
     const parsed = parseId(lib.id);
-    if (!parsed) continue;
+    if (!parsed) return [];
 
     const versions = uniqStrings(
       (Array.isArray(lib.versions) ? lib.versions : [lib.latest])
-        .map(prependVIfNeeded)
+        .map(toVersionKey)
         .filter(Boolean)
     );
+    return versions.map((version) => ({ parsed, version }));
+  });
 
-    for (const version of versions) {
-      stats.totalCandidates += 1;
-      const key = `${parsed.id}@${version}`;
+  await mapWithConcurrency(candidates, scheduler.concurrency, async ({ parsed, version }) => {
+    stats.totalCandidates += 1;
+    const key = `${parsed.id}@${version}`;
 
-      const relativePath = path.posix.join('mirror', 'libs', parsed.owner, parsed.libname, `${version}.xodball.json`);
-      const absolutePath = path.resolve(MIRROR_LIBS_DIR, parsed.owner, parsed.libname, `${version}.xodball.json`);
+    const relativePath = path.posix.join('mirror', 'libs', parsed.owner, parsed.libname, `${version}.xodball.json`);
+    const absolutePath = path.resolve(MIRROR_LIBS_DIR, parsed.owner, parsed.libname, `${version}.xodball.json`);
 
-      const existing = nextArtifacts[key];
-      if (existing && existing.path === relativePath) {
-        try {
-          await fs.access(absolutePath);
+    const existing = nextArtifacts[key];
+    if (existing && existing.path === relativePath) {
+      try {
+        const stat = await fs.stat(absolutePath);
+        if (stat.size === existing.bytes) {
           stats.skippedExisting += 1;
-          continue;
-        } catch (error) {
-          // Artifact metadata exists but file missing, re-download.
+          return;
         }
-      }
-
-      try {
-        const endpointPath = buildPathFromTemplate(pathTemplate, {
-          orgname: parsed.owner,
-          libname: parsed.libname,
-          semver_or_latest: version,
-        });
-        const sourceUrl = `${apiBase}${endpointPath}`;
-
-        const xodball = await fetchJsonWithRetry(sourceUrl);
-        const content = `${JSON.stringify(xodball, null, 2)}\n`;
-        const sha256 = crypto.createHash('sha256').update(content).digest('hex');
-
-        await fs.mkdir(path.dirname(absolutePath), { recursive: true });
-        await fs.writeFile(absolutePath, content, 'utf8');
-
-        nextArtifacts[key] = {
-          id: parsed.id,
-          owner: parsed.owner,
-          libname: parsed.libname,
-          version,
-          sourceProvider: 'xod.io',
-          sourceUrl,
-          path: relativePath,
-          sha256,
-          bytes: Buffer.byteLength(content, 'utf8'),
-          mirroredAt: new Date().toISOString(),
-        };
-
-        stats.downloaded += 1;
-        console.log(`Mirrored ${key}`);
       } catch (error) {
-        stats.failed += 1;
-        console.warn(`Failed ${key}: ${error.message}`);
+        // Artifact metadata exists but file missing, re-download.
       }
     }
-  }
+
+    try {
+      const endpointPath = buildPathFromTemplate(pathTemplate, {
+        orgname: parsed.owner,
+        libname: parsed.libname,
+        semver_or_latest: version,
+      });
+      const sourceUrl = `${apiBase}${endpointPath}`;
+
+      const xodball = await fetchJsonWithRetry(sourceUrl);
+      const stored = await writeArtifactContent(relativePath, serializeXodball(xodball));
+
+      nextArtifacts[key] = {
+        id: parsed.id,
+        owner: parsed.owner,
+        libname: parsed.libname,
+        version,
+        sourceProvider: 'xod.io',
+        sourceUrl,
+        path: relativePath,
+        ...stored,
+        mirroredAt: new Date().toISOString(),
+      };
+
+      stats.downloaded += 1;
+      console.log(`Mirrored ${key}`);
+    } catch (error) {
+      stats.failed += 1;
+      console.warn(`Failed ${key}: ${error.message}`);
+    }
+  });
 
   const artifacts = toArtifactsFromState(nextArtifacts);
+  const indexedIds = new Set(sortedLibraries.map((lib) => lib.id));
+  const indexArtifacts = artifacts.map((item) => {
+    const orphaned = toOrphanStatus(item, indexedIds, tombstones);
+    return orphaned ? { ...item, orphaned } : item;
+  });
+  const orphanedArtifacts = indexArtifacts.filter((item) => item.orphaned).length;
+  const artifactsByKey = Object.fromEntries(artifacts.map((item) => [`${item.id}@${item.version}`, item]));
+  const duplicates = buildDuplicateClusters(artifactsByKey);
+  const uniqueObjects = new Set(artifacts.map((item) => item.sha256)).size;
   const mirrorIndex = {
+    schemaVersion: SCHEMA_VERSION,
     generatedAt: new Date().toISOString(),
     sourceIndexGeneratedAt: indexData.generatedAt || null,
     stats: {
       ...stats,
       totalMirroredArtifacts: artifacts.length,
+      orphanedArtifacts,
+      uniqueObjects,
+      duplicateArtifacts: artifacts.length - uniqueObjects,
     },
-    artifacts,
+    artifacts: indexArtifacts,
+    duplicates,
   };
 
   const mirrorState = {
+    schemaVersion: SCHEMA_VERSION,
     generatedAt: mirrorIndex.generatedAt,
     sourceIndexGeneratedAt: mirrorIndex.sourceIndexGeneratedAt,
-    artifacts: artifacts.reduce((acc, item) => {
-      acc[`${item.id}@${item.version}`] = item;
-      return acc;
-    }, {}),
+    artifacts: artifactsByKey,
   };
 
+  assertMatchesSchema('mirrorIndex', mirrorIndex);
+  assertMatchesSchema('mirrorState', mirrorState);
   await writeJson(MIRROR_INDEX_PATH, mirrorIndex);
   await writeJson(MIRROR_STATE_PATH, mirrorState);
 
-  console.log(`Mirror complete: downloaded=${stats.downloaded}, skippedExisting=${stats.skippedExisting}, failed=${stats.failed}, totalArtifacts=${artifacts.length}`);
+  console.log(`Mirror complete: downloaded=${stats.downloaded}, skippedExisting=${stats.skippedExisting}, failed=${stats.failed}, totalArtifacts=${artifacts.length}, orphaned=${orphanedArtifacts}, uniqueObjects=${uniqueObjects}, duplicateClusters=${duplicates.length}`);
 }
 
-run().catch((error) => {
-  console.error(`Mirror failed: ${error.message}`);
-  process.exitCode = 1;
-});
+async function fetchUpstreamXodball(artifact) {
+  const content = serializeXodball(await fetchJsonWithRetry(artifact.sourceUrl));
+  return { content, sha256: sha256(content), bytes: Buffer.byteLength(content, 'utf8') };
+}
+
+function withMirrorIndexArtifacts(mirrorIndex, artifacts) {
+  const uniqueObjects = new Set(Object.values(artifacts).map((item) => item.sha256)).size;
+  return {
+    ...mirrorIndex,
+    stats: {
+      ...mirrorIndex.stats,
+      uniqueObjects,
+      duplicateArtifacts: Object.keys(artifacts).length - uniqueObjects,
+    },
+    artifacts: mirrorIndex.artifacts.map((item) => {
+      const updated = artifacts[`${item.id}@${item.version}`];
+      if (!updated) return item;
+      return item.orphaned ? { ...updated, orphaned: item.orphaned } : updated;
+    }),
+    duplicates: buildDuplicateClusters(artifacts),
+  };
+}
+
+async function writeMirrorFiles(rootDir, stateData, artifacts) {
+  const statePath = path.join(rootDir, 'mirror', 'state.json');
+  const indexPath = path.join(rootDir, 'mirror', 'index.json');
+  const mirrorState = { schemaVersion: SCHEMA_VERSION, ...stateData, artifacts };
+  const mirrorIndex = withMirrorIndexArtifacts(
+    { schemaVersion: SCHEMA_VERSION, ...(await readJson(indexPath, { artifacts: [] })) },
+    artifacts,
+  );
+  assertMatchesSchema('mirrorState', mirrorState);
+  assertMatchesSchema('mirrorIndex', mirrorIndex);
+  await writeJson(statePath, mirrorState);
+  await writeJson(indexPath, mirrorIndex);
+}
+
+async function readMirrorState(rootDir) {
+  const statePath = path.join(rootDir, 'mirror', 'state.json');
+  const stateData = await readJson(statePath, null);
+  if (!stateData || !stateData.artifacts || typeof stateData.artifacts !== 'object') {
+    throw new Error(`Invalid mirror state file at ${statePath}`);
+  }
+  return stateData;
+}
+
+async function migrateMirror(options = {}) {
+  const rootDir = options.rootDir || REPO_ROOT;
+  const stateData = await readMirrorState(rootDir);
+  const result = await migrateToContentStore(stateData.artifacts, rootDir);
+  await writeMirrorFiles(rootDir, stateData, result.artifacts);
+  return result;
+}
+
+function logVerifyReport(report) {
+  PROBLEM_KINDS.forEach((kind) => {
+    report[kind].forEach((problem) => console.warn(`${kind}: ${problem.key} (${problem.path})`));
+  });
+  report.unreferenced.forEach((file) => console.warn(`unreferenced: ${file}`));
+  report.upstreamChanged.forEach((change) => {
+    console.warn(`upstream changed: ${change.key} (recorded ${change.recordedSha256}, upstream ${change.upstreamSha256})`);
+  });
+  report.upstreamUnavailable.forEach((key) => console.warn(`upstream unavailable: ${key}`));
+  report.repaired.forEach((key) => console.log(`repaired: ${key}`));
+  console.log(
+    `Verify complete: checked=${report.checked}, ok=${report.ok}, `
+      + PROBLEM_KINDS.map((kind) => `${kind}=${report[kind].length}`).join(', ')
+      + `, unreferenced=${report.unreferenced.length}, upstreamChanged=${report.upstreamChanged.length}, repaired=${report.repaired.length}`,
+  );
+}
+
+async function verifyMirror(options = {}) {
+  const rootDir = options.rootDir || REPO_ROOT;
+  const stateData = await readMirrorState(rootDir);
+  const artifacts = { ...stateData.artifacts };
+  const report = {
+    ...(await verifyArtifacts(artifacts, rootDir)),
+    upstreamChanged: [],
+    upstreamUnavailable: [],
+    repaired: [],
+  };
+  const damagedKeys = new Set(PROBLEM_KINDS.flatMap((kind) => report[kind].map((problem) => problem.key)));
+  const checkedAt = new Date().toISOString();
+  const keysToFetch = options.checkUpstream
+    ? Object.keys(artifacts).sort((a, b) => a.localeCompare(b))
+    : options.repair ? [...damagedKeys].sort((a, b) => a.localeCompare(b)) : [];
+
+  await mapWithConcurrency(keysToFetch, scheduler.concurrency, async (key) => {
+    const artifact = artifacts[key];
+    let upstream;
+    try {
+      upstream = await fetchUpstreamXodball(artifact);
+    } catch (error) {
+      report.upstreamUnavailable.push(key);
+      return;
+    }
+
+    if (upstream.sha256 !== artifact.sha256) {
+      report.upstreamChanged.push({ key, recordedSha256: artifact.sha256, upstreamSha256: upstream.sha256 });
+      const known = artifact.upstreamChange && artifact.upstreamChange.sha256 === upstream.sha256;
+      artifacts[key] = {
+        ...artifact,
+        upstreamChange: known ? artifact.upstreamChange : { detectedAt: checkedAt, sha256: upstream.sha256 },
+      };
+    }
+
+    if (options.repair && damagedKeys.has(key)) {
+      const stored = await writeArtifactContent(artifact.path, upstream.content, rootDir);
+      artifacts[key] = {
+        ...artifacts[key],
+        ...stored,
+        mirroredAt: checkedAt,
+      };
+      report.repaired.push(key);
+    }
+  });
+
+  report.upstreamChanged.sort((a, b) => a.key.localeCompare(b.key));
+  report.upstreamUnavailable.sort((a, b) => a.localeCompare(b));
+  report.repaired.sort((a, b) => a.localeCompare(b));
+
+  if (JSON.stringify(artifacts) !== JSON.stringify(stateData.artifacts)) {
+    await writeMirrorFiles(rootDir, stateData, artifacts);
+  }
+
+  const unresolved = [...damagedKeys].filter((key) => !report.repaired.includes(key));
+  report.passed = unresolved.length === 0 && report.upstreamChanged.length === 0;
+  return report;
+}
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      verify: { type: 'boolean', default: false },
+      migrate: { type: 'boolean', default: false },
+      repair: { type: 'boolean', default: false },
+      'check-upstream': { type: 'boolean', default: false },
+      json: { type: 'boolean', default: false },
+    },
+  });
+
+  if ((values.repair || values['check-upstream']) && !values.verify) {
+    throw new Error('--repair and --check-upstream require --verify');
+  }
+  if (values.migrate && values.verify) {
+    throw new Error('--migrate cannot be combined with --verify');
+  }
+  return {
+    migrate: values.migrate,
+    verify: values.verify,
+    repair: values.repair,
+    checkUpstream: values['check-upstream'],
+    json: values.json,
+  };
+}
+
+async function main() {
+  const options = parseCli(process.argv.slice(2));
+  if (options.migrate) {
+    const { migrated, skipped } = await migrateMirror();
+    skipped.forEach((key) => console.warn(`Not migrated (hash mismatch, run --verify --repair): ${key}`));
+    console.log(`Migration complete: migrated=${migrated.length}, skipped=${skipped.length}`);
+    return;
+  }
+  if (!options.verify) {
+    await run();
+    return;
+  }
+
+  const report = await verifyMirror(options);
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    logVerifyReport(report);
+  }
+  if (!report.passed) process.exitCode = 1;
+}
+
+module.exports = {
+  migrateMirror,
+  verifyMirror,
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`Mirror failed: ${error.message}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+const { parseArgs } = require("util");
+const { buildSearchIndex, loadSearchIndex, querySearchIndex } = require("./lib/search-index");
+const { readBoardList, createBoardResolver } = require("./lib/boards");
+const { COMPATIBILITY_STATUSES: BOARD_STATUSES } = require("./lib/overlay");
+
+const INDEX_DIR = path.resolve(__dirname, "..", "index");
+const SEARCH_INDEX_PATH = path.join(INDEX_DIR, "search-index.json");
+const INDEX_PATH = path.join(INDEX_DIR, "index.json");
+const SORT_KEYS = ["id", "relevance", "updatedAt"];
+
+const USAGE = `Usage: node tools/search.js [query...] [options]
+
+Options:
+  --interface <name>   Require an interface (repeatable)
+  --mcu <name>         Require an MCU family (repeatable)
+  --tag <name>         Require a tag (repeatable)
+  --board <id>         Require a board entry in boardCompatibility (aliases from index/board-list.json work too)
+  --status <status>    Board status: ${BOARD_STATUSES.join(", ")} (applies to --board, or any board)
+  --support <status>   Require supportStatus
+  --collapse-duplicates
+                       Hide libraries marked as a copy of another (duplicateOf)
+  --sort <key>         Sort by ${SORT_KEYS.join(", ")} (default: id; relevance ranks by match score, ties by id)
+  --limit <n>          Print at most n results
+  --json               Print matching library records from index.json as JSON
+  --search-index <path>
+                       Read a different search-index.json
+  --index <path>       Search a different index.json (the search index is built from it)
+  -h, --help           Show this help`;
+
+function formatLibrary(lib) {
+  const facets = [...(lib.interfaces || []), ...(lib.mcu || [])];
+  const lines = [`${lib.id}@${lib.latest}${facets.length > 0 ? `  [${facets.join(", ")}]` : ""}`];
+  if (lib.summary) lines.push(`  ${lib.summary}`);
+  return lines.join("\n");
+}
+
+function parseCli(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      interface: { type: "string", multiple: true, default: [] },
+      mcu: { type: "string", multiple: true, default: [] },
+      tag: { type: "string", multiple: true, default: [] },
+      board: { type: "string" },
+      status: { type: "string" },
+      support: { type: "string" },
+      "collapse-duplicates": { type: "boolean", default: false },
+      sort: { type: "string", default: "id" },
+      limit: { type: "string" },
+      json: { type: "boolean", default: false },
+      "search-index": { type: "string" },
+      index: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  if (!SORT_KEYS.includes(values.sort)) {
+    throw new Error(`Unknown sort key "${values.sort}", expected one of: ${SORT_KEYS.join(", ")}`);
+  }
+  if (values.status && !BOARD_STATUSES.includes(values.status)) {
+    throw new Error(`Unknown status "${values.status}", expected one of: ${BOARD_STATUSES.join(", ")}`);
+  }
+  const limit = values.limit === undefined ? null : Number.parseInt(values.limit, 10);
+  if (limit !== null && !(limit > 0)) {
+    throw new Error(`Invalid --limit "${values.limit}"`);
+  }
+
+  const searchIndexPath = values["search-index"] ? path.resolve(values["search-index"]) : null;
+  return {
+    ...values,
+    collapseDuplicates: values["collapse-duplicates"],
+    indexPath: values.index ? path.resolve(values.index) : INDEX_PATH,
+    searchIndexPath: searchIndexPath || (values.index ? null : SEARCH_INDEX_PATH),
+    requireSearchIndex: Boolean(searchIndexPath),
+    limit,
+    query: positionals.join(" "),
+  };
+}
+
+async function readIndex(indexPath) {
+  const indexData = JSON.parse(await fs.readFile(indexPath, "utf8"));
+  if (!indexData || !Array.isArray(indexData.libraries)) {
+    throw new Error(`Invalid index file at ${indexPath}`);
+  }
+  return indexData;
+}
+
+// The prebuilt index/search-index.json only exists after a sync, so without
+// it (or with --index) the search index is built from index.json.
+async function openSearchIndex(options) {
+  if (options.searchIndexPath) {
+    try {
+      return { searchIndex: await loadSearchIndex(options.searchIndexPath), indexData: null };
+    } catch (error) {
+      if (error.code !== "ENOENT" || options.requireSearchIndex) throw error;
+    }
+  }
+  const indexData = await readIndex(options.indexPath);
+  return { searchIndex: buildSearchIndex(indexData), indexData };
+}
+
+async function run(options) {
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const { searchIndex, indexData } = await openSearchIndex(options);
+
+  if (options.board) {
+    options.board = createBoardResolver(await readBoardList())(options.board) || options.board;
+  }
+
+  const results = querySearchIndex(searchIndex, options.query, options, options.sort).map((result) => result.doc);
+  const shown = options.limit ? results.slice(0, options.limit) : results;
+
+  if (options.json) {
+    const byId = new Map((indexData || (await readIndex(options.indexPath))).libraries.map((lib) => [lib.id, lib]));
+    console.log(JSON.stringify(shown.map((doc) => byId.get(doc.id) || doc), null, 2));
+    return;
+  }
+
+  shown.forEach((lib) => console.log(formatLibrary(lib)));
+  console.log(`${results.length} ${results.length === 1 ? "library" : "libraries"} found`);
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => run(parseCli(process.argv.slice(2))))
+    .catch((error) => {
+      console.error(`Search failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { run };
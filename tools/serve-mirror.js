@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const http = require("http");
+const path = require("path");
+const { parseArgs } = require("util");
+const { REPO_ROOT, readMirrorArtifacts } = require("./lib/xodball");
+const {
+  SWAGGER_PATHS,
+  buildSwaggerDocument,
+  matchRoute,
+  createRegistry,
+  listLibraries,
+  describeLibrary,
+  listVersions,
+  resolveXodballArtifact,
+} = require("./lib/mirror-registry");
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_HOST = "127.0.0.1";
+
+async function readJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+async function loadRegistry(rootDir) {
+  const indexPath = path.join(rootDir, "index", "index.json");
+  const indexData = await readJson(indexPath, null);
+  if (!indexData || !Array.isArray(indexData.libraries)) {
+    throw new Error(`Invalid index file at ${indexPath}`);
+  }
+  const artifacts = await readMirrorArtifacts(path.join(rootDir, "mirror", "state.json"));
+  return createRegistry(indexData, artifacts);
+}
+
+function sendJson(res, status, payload) {
+  const body = `${JSON.stringify(payload, null, 2)}\n`;
+  res.writeHead(status, {
+    "content-type": "application/json; charset=utf-8",
+    "content-length": Buffer.byteLength(body),
+  });
+  res.end(body);
+}
+
+function notFound(res, message) {
+  sendJson(res, 404, { error: "Not Found", message });
+}
+
+async function sendXodball(res, artifact, rootDir) {
+  let content;
+  try {
+    content = await fs.readFile(path.resolve(rootDir, artifact.path));
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      notFound(res, `Mirrored file ${artifact.path} is missing`);
+      return;
+    }
+    throw error;
+  }
+  res.writeHead(200, {
+    "content-type": "application/json; charset=utf-8",
+    "content-length": content.length,
+    etag: `"${artifact.sha256}"`,
+  });
+  res.end(content);
+}
+
+async function handleRequest(req, res, registry, rootDir) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    res.writeHead(405, { allow: "GET, HEAD" });
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, "http://localhost");
+  if (SWAGGER_PATHS.has(pathname)) {
+    sendJson(res, 200, buildSwaggerDocument(req.headers.host));
+    return;
+  }
+
+  const route = matchRoute(pathname);
+  if (!route) {
+    notFound(res, `No route for ${pathname}`);
+    return;
+  }
+
+  const { orgname, libname, semver_or_latest: semverOrLatest } = route.params;
+  const id = `${orgname}/${libname}`;
+  switch (route.operationId) {
+    case "getLibs":
+      sendJson(res, 200, listLibraries(registry));
+      return;
+    case "getLib": {
+      const lib = describeLibrary(registry, id);
+      if (lib) sendJson(res, 200, lib);
+      else notFound(res, `Library ${id} is not mirrored`);
+      return;
+    }
+    case "getLibVersions": {
+      const versions = listVersions(registry, id);
+      if (versions) sendJson(res, 200, versions);
+      else notFound(res, `Library ${id} is not mirrored`);
+      return;
+    }
+    default: {
+      const artifact = resolveXodballArtifact(registry, id, semverOrLatest);
+      if (artifact) await sendXodball(res, artifact, rootDir);
+      else notFound(res, `${id}@${semverOrLatest} is not mirrored`);
+    }
+  }
+}
+
+function createMirrorServer(registry, rootDir = REPO_ROOT) {
+  return http.createServer((req, res) => {
+    handleRequest(req, res, registry, rootDir).catch((error) => {
+      console.error(`Request ${req.url} failed: ${error.message}`);
+      if (!res.headersSent) sendJson(res, 500, { error: "Internal Server Error" });
+      else res.end();
+    });
+  });
+}
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      port: { type: "string" },
+      host: { type: "string" },
+      root: { type: "string" },
+    },
+  });
+  const port = Number.parseInt(values.port || process.env.PORT || String(DEFAULT_PORT), 10);
+  if (!(port >= 0 && port < 65536)) throw new Error("--port must be between 0 and 65535");
+
+  return {
+    port,
+    host: values.host || DEFAULT_HOST,
+    rootDir: values.root ? path.resolve(values.root) : REPO_ROOT,
+  };
+}
+
+async function run(options) {
+  const registry = await loadRegistry(options.rootDir);
+  const server = createMirrorServer(registry, options.rootDir);
+  await new Promise((resolve) => server.listen(options.port, options.host, resolve));
+
+  const { port } = server.address();
+  const host = options.host.includes(":") ? `[${options.host}]` : options.host;
+  console.log(
+    `Serving ${Object.keys(registry.artifacts).length} mirrored xodballs of ${registry.mirrored.size} libraries`
+      + ` at http://${host}:${port} (PM_SWAGGER_URL=http://${host}:${port}/swagger/)`
+  );
+  return server;
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => run(parseCli(process.argv.slice(2))))
+    .catch((error) => {
+      console.error(`Mirror server failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { loadRegistry, createMirrorServer };
@@ -1,24 +1,93 @@
 #!/usr/bin/env node
 
 const fs = require("fs").promises;
+const crypto = require("crypto");
 const path = require("path");
+const { parseArgs } = require("util");
+const { REPO_ROOT, readMirrorArtifacts, findArtifact, readXodball } = require("./lib/xodball");
+const { compareVersionsDesc, findInvalidVersions } = require("./lib/semver");
+const { inferFacets } = require("./lib/infer-facets");
+const { buildDependencyGraph } = require("./lib/dependencies");
+const { buildSimilarity } = require("./lib/similarity");
+const { buildQuality, mergeQuality } = require("./lib/quality");
+const {
+  COMPATIBILITY_STATUSES,
+  SUPPORT_STATUSES,
+  normalizeId,
+  idFromRecord,
+  listOverlayEntries
+} = require("./lib/overlay");
+const { BOARD_LIST_PATH, STATUS_PRECEDENCE, readBoardList, createBoardResolver } = require("./lib/boards");
+const { buildNodeCatalog } = require("./lib/node-catalog");
+const { buildSearchIndex } = require("./lib/search-index");
+const { SCHEMA_VERSION, assertMatchesSchema, getValidator } = require("./lib/schema");
+const { createRequestScheduler, mapWithConcurrency } = require("./lib/request-scheduler");
+const {
+  PM_SWAGGER_URL,
+  fetchSwaggerSpec,
+  resolveOperations,
+  buildPathFromTemplate,
+  buildBaseUrl
+} = require("./lib/pm-api");
+const {
+  readFixtureManifest,
+  writeFixtureManifest,
+  replayFixture,
+  recordFixture
+} = require("./lib/html-fixtures");
 
 const XOD_LIBS_BASE_URL = "https://xod.io/libs/";
-const OUTPUT_PATH = path.resolve(__dirname, "..", "index", "index.json");
-const OVERLAY_PATH = path.resolve(__dirname, "..", "index", "overlay.json");
+const INDEX_DIR = path.resolve(__dirname, "..", "index");
+const OVERLAY_PATH = path.resolve(INDEX_DIR, "overlay.json");
+const OUTPUT_FILE = "index.json";
+const GRAPH_FILE = "graph.json";
+const NODES_FILE = "nodes.json";
+const SEARCH_INDEX_FILE = "search-index.json";
+const SYNC_STATE_FILE = "sync-state.json";
+const REMOVED_FILE = "removed.json";
+const QUARANTINE_FILE = "index.quarantine.json";
+const DEFAULT_MAX_SHRINK_PERCENT = 10;
+const SCRAPER_VERSION = 2;
 const REQUEST_TIMEOUT_MS = 20_000;
 const RETRYABLE_STATUS_CODES = new Set([429, 500, 502, 503, 504]);
 const MAX_FETCH_RETRIES = 4;
 const RETRY_BASE_DELAY_MS = 1_500;
 const MAX_NORMALIZE_RETRIES = 3;
-const COMPATIBILITY_STATUSES = ["working", "broken", "untested"];
-const SUPPORT_STATUSES = ["stable", "experimental", "deprecated"];
-
-function normalizeId(value) {
-  if (typeof value !== "string") return null;
-  const cleaned = value.trim().replace(/^\/+|\/+$/g, "");
-  return /^[a-z0-9._-]+\/[a-z0-9._-]+$/i.test(cleaned) ? cleaned.toLowerCase() : null;
-}
+const INFERRED_FACETS = ["interfaces", "mcu"];
+const FIXTURE_MODES = ["record", "replay"];
+const API_SOURCE = "pm.xod.io";
+const HTML_SOURCE = "xod.io";
+const SOURCED_FIELDS = ["latest", "versions", "summary", "updatedAt", "license"];
+const DERIVED_FIELDS = [
+  "inferredFacets",
+  "dependencies",
+  "dependents",
+  "missingDependencies",
+  "nodeCatalog",
+  "duplicateOf",
+  "similarTo"
+];
+const PM_API_OPERATIONS = {
+  listLibs: ["getLibs", "listLibs"],
+  listOrgs: ["getOrgs"],
+  listOrgLibs: ["getOrgLibs"],
+  getLib: ["getLib"],
+  getLibVersions: ["getLibVersions"]
+};
+
+const fixtures = { mode: null, dir: null, manifest: {} };
+const scheduler = createRequestScheduler({
+  timeoutMs: REQUEST_TIMEOUT_MS,
+  retries: MAX_FETCH_RETRIES,
+  baseDelayMs: RETRY_BASE_DELAY_MS,
+  retryableStatusCodes: [...RETRYABLE_STATUS_CODES],
+  headers: {
+    "user-agent": "xod2-library-index-sync/1.0 (+https://github.com/JoyfulOak/xod2-library-index)"
+  },
+  onRetry: ({ url, attempt, retries, delay, reason }) => {
+    console.warn(`Retrying ${url} (attempt ${attempt}/${retries}) after ${delay}ms due to ${reason}`);
+  }
+});
 
 function toNonEmptyString(value) {
   return typeof value === "string" && value.trim() !== "" ? value.trim() : null;
@@ -37,23 +106,6 @@ function toBoolOrNull(value) {
   return typeof value === "boolean" ? value : null;
 }
 
-function semverCompareDesc(a, b) {
-  const parse = (v) => {
-    const [core, pre = ""] = String(v).split("-");
-    const parts = core.split(".").map((n) => Number.parseInt(n, 10) || 0);
-    while (parts.length < 3) parts.push(0);
-    return { parts, pre };
-  };
-  const pa = parse(a);
-  const pb = parse(b);
-  for (let i = 0; i < 3; i += 1) {
-    if (pa.parts[i] !== pb.parts[i]) return pb.parts[i] - pa.parts[i];
-  }
-  if (!pa.pre && pb.pre) return -1;
-  if (pa.pre && !pb.pre) return 1;
-  return pa.pre.localeCompare(pb.pre);
-}
-
 function normalizeVersions(versions, latest) {
   const normalized = uniqStrings(
     (Array.isArray(versions) ? versions : []).map(toNonEmptyString).filter(Boolean)
@@ -63,7 +115,7 @@ function normalizeVersions(versions, latest) {
     normalized.unshift(latest);
   }
 
-  normalized.sort(semverCompareDesc);
+  normalized.sort(compareVersionsDesc);
   return normalized.length > 0 ? normalized : [latest || "latest"];
 }
 
@@ -77,7 +129,7 @@ function extractVersionsFromText(text, id) {
   if (versions.length === 0) {
     for (const m of text.matchAll(genericPattern)) versions.push(m[1]);
   }
-  return uniqStrings(versions).sort(semverCompareDesc);
+  return uniqStrings(versions).sort(compareVersionsDesc);
 }
 
 function extractMetaDescription(html) {
@@ -114,28 +166,51 @@ function sortObjectKeys(value) {
     .reduce((acc, key) => ({ ...acc, [key]: value[key] }), {});
 }
 
-function normalizeBoardCompatibility(rawValue) {
+function canonicalBoardId(boardIdRaw, resolveBoard) {
+  const boardId = toNonEmptyString(boardIdRaw);
+  return boardId ? resolveBoard(boardId) || boardId : null;
+}
+
+// Overlay keys that name the same board (an id and its aliases) collapse
+// into one entry; the more cautious status wins. Every colliding key is kept
+// in `claims` so the board report can show what was merged.
+function normalizeBoardCompatibility(rawValue, resolveBoard = () => null) {
   const input =
     rawValue && typeof rawValue === "object" && !Array.isArray(rawValue)
       ? rawValue
       : {};
 
-  const normalized = Object.keys(input).reduce((acc, boardIdRaw) => {
-    const boardId = toNonEmptyString(boardIdRaw);
+  const claimsByBoard = Object.keys(input).sort((a, b) => a.localeCompare(b)).reduce((acc, boardIdRaw) => {
+    const boardId = canonicalBoardId(boardIdRaw, resolveBoard);
     const entry = input[boardIdRaw];
     const parsed =
       entry && typeof entry === "object" && !Array.isArray(entry) ? entry : {};
     const status = normalizeCompatibilityStatus(parsed.status);
     if (!boardId || !status) return acc;
+    const notes = toNonEmptyString(parsed.notes);
+
+    return {
+      ...acc,
+      [boardId]: [
+        ...(acc[boardId] || []),
+        { board: boardIdRaw.trim(), status, ...(notes ? { notes } : {}) }
+      ]
+    };
+  }, {});
+
+  const normalized = Object.keys(claimsByBoard).reduce((acc, boardId) => {
+    const claims = claimsByBoard[boardId];
+    const winner = claims.reduce((best, claim) =>
+      STATUS_PRECEDENCE.indexOf(claim.status) < STATUS_PRECEDENCE.indexOf(best.status) ? claim : best
+    );
 
     return {
       ...acc,
       [boardId]: {
-        status,
-        ...(toNonEmptyString(parsed.notes)
-          ? { notes: toNonEmptyString(parsed.notes) }
-          : {}),
-      },
+        status: winner.status,
+        ...(winner.notes ? { notes: winner.notes } : {}),
+        ...(claims.length > 1 ? { claims } : {})
+      }
     };
   }, {});
 
@@ -163,16 +238,18 @@ function deriveCompatibilitySummary(boardCompatibility) {
   };
 }
 
-function normalizeCompatibilitySummary(rawValue, boardCompatibility) {
+function normalizeCompatibilitySummary(rawValue, boardCompatibility, resolveBoard = () => null) {
   const input =
     rawValue && typeof rawValue === "object" && !Array.isArray(rawValue)
       ? rawValue
       : {};
+  const boards = (list) =>
+    normalizeStringList(normalizeStringList(list).map((boardId) => canonicalBoardId(boardId, resolveBoard)));
 
   const normalized = {
-    workingBoards: normalizeStringList(input.workingBoards),
-    brokenBoards: normalizeStringList(input.brokenBoards),
-    untestedBoards: normalizeStringList(input.untestedBoards),
+    workingBoards: boards(input.workingBoards),
+    brokenBoards: boards(input.brokenBoards),
+    untestedBoards: boards(input.untestedBoards),
   };
 
   const hasExplicitSummary =
@@ -234,67 +311,73 @@ function deepMerge(base, overlay) {
   return out;
 }
 
-function parseLibIdFromRecord(record) {
-  const fromId = normalizeId(record && record.id);
-  if (fromId) return fromId;
+async function fetchHtml(url, headers = {}) {
+  if (fixtures.mode === "replay") {
+    return replayFixture(fixtures.dir, fixtures.manifest, url, headers);
+  }
 
-  const owner = toNonEmptyString(record && record.owner);
-  const libname = toNonEmptyString(record && record.libname);
-  if (owner && libname) {
-    return normalizeId(`${owner}/${libname}`);
+  const result = await fetchHtmlLive(url, fixtures.mode === "record" ? {} : headers);
+  if (fixtures.mode === "record") {
+    await recordFixture(fixtures.dir, fixtures.manifest, result);
   }
-  return null;
+  return result;
 }
 
-async function fetchHtml(url) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
-  try {
-    const response = await fetch(url, {
-      signal: controller.signal,
-      headers: {
-        "user-agent": "xod2-library-index-sync/1.0 (+https://github.com/JoyfulOak/xod2-library-index)"
-      }
-    });
-    if (!response.ok) {
-      return { ok: false, status: response.status, url };
-    }
-    const text = await response.text();
-    return { ok: true, status: response.status, url, text };
-  } catch (error) {
-    throw new Error(`Failed to fetch ${url}: ${error.message}`);
-  } finally {
-    clearTimeout(timeout);
+async function fetchHtmlLive(url, headers = {}) {
+  const response = await scheduler.request(url, { headers });
+  if (!response.ok) {
+    return { ok: false, status: response.status, url };
   }
+  return {
+    ok: true,
+    status: response.status,
+    url,
+    text: response.text,
+    contentType: response.headers.get("content-type"),
+    etag: response.headers.get("etag"),
+    lastModified: response.headers.get("last-modified")
+  };
 }
 
-const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+async function fetchHtmlWithRetry(url, headers = {}) {
+  const result = await fetchHtml(url, headers);
+  if (result.ok || !RETRYABLE_STATUS_CODES.has(result.status)) {
+    return result;
+  }
+  throw new Error(`Failed to fetch ${url} after ${MAX_FETCH_RETRIES + 1} attempts: HTTP ${result.status}`);
+}
 
-async function fetchHtmlWithRetry(url, retries = MAX_FETCH_RETRIES) {
-  let attempt = 0;
-  let lastError = null;
+async function fetchJson(url) {
+  const res = await fetchHtmlWithRetry(url);
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status} from ${url}`);
+  }
+  return { text: res.text, json: JSON.parse(res.text) };
+}
 
-  while (attempt <= retries) {
-    attempt += 1;
-    try {
-      const result = await fetchHtml(url);
-      if (result.ok || !RETRYABLE_STATUS_CODES.has(result.status)) {
-        return result;
-      }
-      lastError = new Error(`HTTP ${result.status}`);
-    } catch (error) {
-      lastError = error;
+async function loadPmApi() {
+  try {
+    const swaggerSpec = await fetchSwaggerSpec(PM_SWAGGER_URL, async (url) => (await fetchJson(url)).json);
+    const operations = resolveOperations(swaggerSpec, PM_API_OPERATIONS);
+    if (!operations.getLib && !operations.getLibVersions) {
+      throw new Error("swagger spec has no library operations");
     }
-
-    if (attempt > retries) break;
-    const delay = RETRY_BASE_DELAY_MS * attempt;
-    console.warn(
-      `Retrying ${url} (attempt ${attempt}/${retries}) after ${delay}ms due to ${lastError.message}`
-    );
-    await sleep(delay);
+    return { baseUrl: buildBaseUrl(PM_SWAGGER_URL), operations };
+  } catch (error) {
+    console.warn(`pm.xod.io API unavailable, falling back to HTML scraping: ${error.message}`);
+    return null;
   }
+}
 
-  throw new Error(`Failed to fetch ${url} after ${retries + 1} attempts: ${lastError.message}`);
+function pmApiUrl(pmApi, operation, params = {}) {
+  return `${pmApi.baseUrl}${buildPathFromTemplate(pmApi.operations[operation], params)}`;
+}
+
+function toApiItems(payload, keys = ["libs", "versions", "items", "data"]) {
+  if (Array.isArray(payload)) return payload;
+  if (!payload || typeof payload !== "object") return [];
+  const key = keys.find((k) => Array.isArray(payload[k]));
+  return key ? payload[key] : [];
 }
 
 function retry(fn, attempts = MAX_NORMALIZE_RETRIES) {
@@ -342,28 +425,134 @@ function extractLibraryIdsFromList(html) {
   return uniqStrings(ids).sort((a, b) => a.localeCompare(b));
 }
 
-async function fetchLibraryDetail(id) {
-  const url = `${XOD_LIBS_BASE_URL}${id}/`;
-  const res = await fetchHtmlWithRetry(url);
-  if (!res.ok) {
-    throw new Error(`Failed to fetch library detail for ${id} (${url}): HTTP ${res.status}`);
+async function listLibraryIdsFromHtml() {
+  const discoveredIds = [];
+  const seenIds = new Set();
+  let page = 1;
+
+  while (true) {
+    const html = await fetchListPage(page);
+    if (html === null) {
+      if (page === 1) {
+        throw new Error("Unable to fetch initial XOD.io library list page");
+      }
+      break;
+    }
+
+    const ids = extractLibraryIdsFromList(html);
+    if (ids.length === 0) break;
+    if (ids.every((id) => seenIds.has(id))) break;
+
+    discoveredIds.push(...ids);
+    for (const id of ids) seenIds.add(id);
+    console.log(`Page ${page}: found ${ids.length} library ids`);
+    page += 1;
+  }
+
+  return discoveredIds;
+}
+
+function extractLibraryIdsFromApi(payload, owner = null) {
+  return toApiItems(payload)
+    .map((item) => {
+      if (typeof item === "string") return normalizeId(item.includes("/") ? item : `${owner}/${item}`);
+      if (!item || typeof item !== "object") return null;
+      return idFromRecord({
+        id: item.id,
+        owner: item.owner || item.orgname || owner,
+        libname: item.libname || item.name
+      });
+    })
+    .filter(Boolean);
+}
+
+async function listLibraryIdsFromApi(pmApi) {
+  const { operations } = pmApi;
+  if (operations.listLibs) {
+    return extractLibraryIdsFromApi((await fetchJson(pmApiUrl(pmApi, "listLibs"))).json);
   }
+  if (!operations.listOrgs || !operations.listOrgLibs) return null;
+
+  const orgs = toApiItems((await fetchJson(pmApiUrl(pmApi, "listOrgs"))).json, ["orgs", "items", "data"])
+    .map((org) => (typeof org === "string" ? org : org && (org.orgname || org.owner || org.name)))
+    .map(toNonEmptyString)
+    .filter(Boolean);
+  const idsByOrg = await mapWithConcurrency(orgs, scheduler.concurrency, async (orgname) =>
+    extractLibraryIdsFromApi((await fetchJson(pmApiUrl(pmApi, "listOrgLibs", { orgname }))).json, orgname)
+  );
+  return idsByOrg.flat();
+}
 
-  const html = res.text;
+async function discoverLibraryIds(pmApi) {
+  if (pmApi) {
+    try {
+      const ids = await listLibraryIdsFromApi(pmApi);
+      if (ids && ids.length > 0) {
+        console.log(`pm.xod.io API: found ${ids.length} library ids`);
+        return ids;
+      }
+    } catch (error) {
+      console.warn(`pm.xod.io library listing failed, falling back to HTML list pages: ${error.message}`);
+    }
+  }
+  return listLibraryIdsFromHtml();
+}
+
+function parseLibraryDetail(html, id) {
   const versions = extractVersionsFromText(html, id);
   const latest = versions[0] || "latest";
 
   return {
-    id,
-    source: {
-      provider: "xod.io",
-      url
-    },
     latest,
     versions: versions.length ? versions : [latest],
     summary: extractMetaDescription(html),
     updatedAt: extractUpdatedAt(html),
-    license: extractLicense(html),
+    license: extractLicense(html)
+  };
+}
+
+function toApiVersion(entry) {
+  const raw = typeof entry === "string" ? { semver: entry } : entry && typeof entry === "object" ? entry : {};
+  const semver = toNonEmptyString(raw.semver || raw.version || raw.tag);
+  return semver ? { ...raw, semver: semver.replace(/^v(?=\d)/, "") } : null;
+}
+
+function toIsoDate(value) {
+  const text = toNonEmptyString(value);
+  if (!text) return null;
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString().slice(0, 10);
+}
+
+function parseLibraryApiPayload(libPayload, versionsPayload, id) {
+  const lib = libPayload && typeof libPayload === "object" && !Array.isArray(libPayload) ? libPayload : {};
+  const entries = [...toApiItems(versionsPayload), ...toApiItems(lib, ["versions"])]
+    .map(toApiVersion)
+    .filter(Boolean);
+  const versions = uniqStrings(entries.map((entry) => entry.semver)).sort(compareVersionsDesc);
+  if (versions.length === 0) {
+    throw new Error(`pm.xod.io API returned no versions for ${id}`);
+  }
+
+  const latestEntry = entries.find((entry) => entry.semver === versions[0]);
+  return {
+    latest: versions[0],
+    versions,
+    summary: toNonEmptyString(lib.description) || toNonEmptyString(latestEntry.description) || "",
+    updatedAt: toIsoDate(latestEntry.createdAt || latestEntry.publishedAt || lib.updatedAt),
+    license: toNonEmptyString(lib.license) || toNonEmptyString(latestEntry.license)
+  };
+}
+
+function toLibraryDetail(id, scraped, fieldSource) {
+  return {
+    id,
+    source: {
+      provider: "xod.io",
+      url: `${XOD_LIBS_BASE_URL}${id}/`
+    },
+    ...scraped,
+    fieldSources: Object.fromEntries(SOURCED_FIELDS.map((field) => [field, fieldSource])),
     tags: [],
     interfaces: [],
     mcu: [],
@@ -377,45 +566,303 @@ async function fetchLibraryDetail(id) {
   };
 }
 
-async function readOverlayMap() {
-  let overlayRaw = "{}";
+function conditionalHeaders(previous) {
+  if (!previous) return {};
+  return {
+    ...(previous.etag ? { "if-none-match": previous.etag } : {}),
+    ...(previous.lastModified ? { "if-modified-since": previous.lastModified } : {})
+  };
+}
+
+async function fetchApiResponse(url, validators) {
+  const res = await fetchHtmlWithRetry(url, conditionalHeaders(validators));
+  if (res.status === 304 && validators) return { notModified: true };
+  if (!res.ok) {
+    throw new Error(`HTTP ${res.status} from ${url}`);
+  }
+  return {
+    text: res.text,
+    json: JSON.parse(res.text),
+    validators: { etag: res.etag || null, lastModified: res.lastModified || null }
+  };
+}
+
+async function fetchLibraryDetailFromApi(id, previous, pmApi) {
+  const [owner, libname] = id.split("/");
+  const stored = previous && previous.source === API_SOURCE ? previous : null;
+  const operations = ["getLib", "getLibVersions"].filter((operation) => pmApi.operations[operation]);
+  const urls = Object.fromEntries(
+    operations.map((operation) => [operation, pmApiUrl(pmApi, operation, { owner, libname })])
+  );
+
+  const responses = {};
+  for (const operation of operations) {
+    responses[operation] = await fetchApiResponse(
+      urls[operation],
+      stored && stored.validators ? stored.validators[operation] : null
+    );
+  }
+  if (stored && operations.length > 0 && operations.every((operation) => responses[operation].notModified)) {
+    return {
+      detail: toLibraryDetail(id, stored.scraped, API_SOURCE),
+      syncEntry: stored,
+      outcome: "notModified"
+    };
+  }
+  // Only the raw responses can be parsed again, so a partial 304 refetches the unchanged ones.
+  for (const operation of operations) {
+    if (responses[operation].notModified) responses[operation] = await fetchApiResponse(urls[operation], null);
+  }
+
+  const empty = { text: "", json: null };
+  const lib = responses.getLib || empty;
+  const versions = responses.getLibVersions || empty;
+  const contentHash = crypto.createHash("sha256").update(`${lib.text}\n${versions.text}`).digest("hex");
+  const scraped = parseLibraryApiPayload(lib.json, versions.json, id);
+
+  return {
+    detail: toLibraryDetail(id, scraped, API_SOURCE),
+    syncEntry: {
+      source: API_SOURCE,
+      validators: Object.fromEntries(operations.map((operation) => [operation, responses[operation].validators])),
+      contentHash,
+      scraped
+    },
+    outcome: stored && stored.contentHash === contentHash ? "unchanged" : "refetched"
+  };
+}
+
+async function fetchLibraryDetailFromHtml(id, previous) {
+  const url = `${XOD_LIBS_BASE_URL}${id}/`;
+  const res = await fetchHtmlWithRetry(url, conditionalHeaders(previous));
+  if (res.status === 304 && previous) {
+    return {
+      detail: toLibraryDetail(id, previous.scraped, HTML_SOURCE),
+      syncEntry: previous,
+      outcome: "notModified"
+    };
+  }
+  if (!res.ok) {
+    throw Object.assign(
+      new Error(`Failed to fetch library detail for ${id} (${url}): HTTP ${res.status}`),
+      { status: res.status }
+    );
+  }
+
+  const contentHash = crypto.createHash("sha256").update(res.text).digest("hex");
+  const scraped = parseLibraryDetail(res.text, id);
+
+  return {
+    detail: toLibraryDetail(id, scraped, HTML_SOURCE),
+    syncEntry: {
+      source: HTML_SOURCE,
+      etag: res.etag || null,
+      lastModified: res.lastModified || null,
+      contentHash,
+      scraped
+    },
+    outcome: previous && previous.contentHash === contentHash ? "unchanged" : "refetched"
+  };
+}
+
+async function fetchLibraryDetail(id, previous = null, pmApi = null) {
+  if (pmApi) {
+    try {
+      return await fetchLibraryDetailFromApi(id, previous, pmApi);
+    } catch (error) {
+      console.warn(`pm.xod.io API failed for ${id}, falling back to HTML: ${error.message}`);
+    }
+  }
+  return fetchLibraryDetailFromHtml(id, previous && previous.source === HTML_SOURCE ? previous : null);
+}
+
+async function readSyncState(filePath) {
   try {
-    overlayRaw = await fs.readFile(OVERLAY_PATH, "utf8");
+    const state = JSON.parse(await fs.readFile(filePath, "utf8"));
+    if (!state || state.scraperVersion !== SCRAPER_VERSION || !state.libraries) {
+      console.log("Sync state is missing or from another scraper version, running a full sync");
+      return {};
+    }
+    return state.libraries;
   } catch (error) {
-    if (error.code !== "ENOENT") throw error;
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+}
+
+async function readJsonIfExists(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return fallback;
+    throw error;
+  }
+}
+
+async function readPreviousIndex(filePath) {
+  const previous = await readJsonIfExists(filePath, null);
+  const libraries = previous && Array.isArray(previous.libraries) ? previous.libraries : [];
+  return {
+    generatedAt: previous && toNonEmptyString(previous.generatedAt),
+    libraries: Object.fromEntries(
+      libraries.filter((lib) => normalizeId(lib && lib.id)).map((lib) => [lib.id, lib])
+    )
+  };
+}
+
+async function readTombstones(filePath) {
+  const removed = await readJsonIfExists(filePath, null);
+  const libraries = removed && Array.isArray(removed.libraries) ? removed.libraries : [];
+  return Object.fromEntries(
+    libraries.filter((entry) => normalizeId(entry && entry.id)).map((entry) => [entry.id, entry])
+  );
+}
+
+function toTombstone(id, previousIndex, removedAt) {
+  const record = previousIndex.libraries[id];
+  return {
+    id,
+    removedAt,
+    lastSeenAt: previousIndex.generatedAt || null,
+    latest: record.latest,
+    versions: record.versions
+  };
+}
+
+function buildTombstones(previousTombstones, removedIds, previousIndex, libraries, removedAt) {
+  const present = new Set(libraries.map((lib) => lib.id));
+  const tombstones = { ...previousTombstones };
+
+  for (const id of removedIds) {
+    if (!tombstones[id] && previousIndex.libraries[id]) {
+      tombstones[id] = toTombstone(id, previousIndex, removedAt);
+    }
+  }
+
+  const restoredIds = Object.keys(tombstones).filter((id) => present.has(id));
+  restoredIds.forEach((id) => delete tombstones[id]);
+
+  return {
+    restoredIds: restoredIds.sort((a, b) => a.localeCompare(b)),
+    libraries: Object.keys(tombstones)
+      .sort((a, b) => a.localeCompare(b))
+      .map((id) => tombstones[id])
+  };
+}
+
+function toCarriedForwardDetail(id, syncEntry, previousRecord) {
+  if (syncEntry && syncEntry.scraped) {
+    return toLibraryDetail(id, syncEntry.scraped, syncEntry.source || HTML_SOURCE);
   }
+  if (!previousRecord) return null;
+  return Object.fromEntries(
+    Object.entries(previousRecord).filter(([key]) => !DERIVED_FIELDS.includes(key))
+  );
+}
+
+function measureShrinkage(previousIndex, libraries) {
+  const previous = Object.values(previousIndex.libraries);
+  const currentVersions = new Map(libraries.map((lib) => [lib.id, new Set(lib.versions)]));
+  const versionsOf = (lib) => (Array.isArray(lib.versions) ? lib.versions : []);
+
+  return {
+    previousLibraries: previous.length,
+    previousVersions: previous.reduce((sum, lib) => sum + versionsOf(lib).length, 0),
+    vanishedLibraries: previous.filter((lib) => !currentVersions.has(lib.id)).map((lib) => lib.id),
+    vanishedVersions: previous.flatMap((lib) => {
+      const current = currentVersions.get(lib.id) || new Set();
+      return versionsOf(lib).filter((version) => !current.has(version)).map((version) => `${lib.id}@${version}`);
+    })
+  };
+}
 
-  const parsed = JSON.parse(overlayRaw);
+function toPercent(part, whole) {
+  return whole === 0 ? 0 : Math.round((part / whole) * 1000) / 10;
+}
 
-  if (Array.isArray(parsed)) {
-    return parsed.reduce((acc, record) => {
-      const id = parseLibIdFromRecord(record || {});
-      if (!id) return acc;
-      return { ...acc, [id]: record };
-    }, {});
+function readMaxShrinkPercentEnv() {
+  const value = process.env.XOD_SYNC_MAX_SHRINK_PERCENT;
+  const parsed = Number.parseFloat(value);
+  if (!Number.isFinite(parsed)) return DEFAULT_MAX_SHRINK_PERCENT;
+  if (parsed < 0) {
+    throw new Error(`XOD_SYNC_MAX_SHRINK_PERCENT must not be negative, got "${value}"`);
   }
+  return parsed;
+}
 
-  if (parsed && typeof parsed === "object" && Array.isArray(parsed.libraries)) {
-    return parsed.libraries.reduce((acc, record) => {
-      const id = parseLibIdFromRecord(record || {});
-      if (!id) return acc;
-      return { ...acc, [id]: record };
-    }, {});
+function checkShrinkage(shrinkage, maxShrinkPercent) {
+  const libraries = toPercent(shrinkage.vanishedLibraries.length, shrinkage.previousLibraries);
+  const versions = toPercent(shrinkage.vanishedVersions.length, shrinkage.previousVersions);
+  if (libraries <= maxShrinkPercent && versions <= maxShrinkPercent) return null;
+
+  return `${libraries}% of libraries (${shrinkage.vanishedLibraries.length}/${shrinkage.previousLibraries}) `
+    + `and ${versions}% of versions (${shrinkage.vanishedVersions.length}/${shrinkage.previousVersions}) `
+    + `vanished, above the ${maxShrinkPercent}% limit`;
+}
+
+async function readOverlayMap(overlayPath = OVERLAY_PATH) {
+  let overlayRaw = "{}";
+  try {
+    overlayRaw = await fs.readFile(overlayPath, "utf8");
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
   }
 
-  if (!parsed || typeof parsed !== "object") {
-    throw new Error("Overlay must be an object map keyed by library id or libraries array");
+  const entries = listOverlayEntries(JSON.parse(overlayRaw));
+  if (!entries) {
+    throw new Error(`Overlay ${overlayPath} must be a map keyed by library id, an array or { "libraries": [] }`);
   }
 
-  return Object.keys(parsed).reduce((acc, rawId) => {
-    const id = normalizeId(rawId) || parseLibIdFromRecord(parsed[rawId] || {});
-    if (!id) return acc;
-    return { ...acc, [id]: parsed[rawId] };
+  // One bad entry should not stop the nightly sync: it is reported and left
+  // out, and tools/validate-overlay.js points at it on the next pull request.
+  const validateEntry = getValidator("overlay", "#/definitions/entry");
+  return entries.reduce((acc, entry) => {
+    if (!entry.id) {
+      console.warn(`Skipped overlay entry ${entry.path}: no valid library id`);
+      return acc;
+    }
+    if (!validateEntry(entry.record)) {
+      const errors = validateEntry.errors.map((error) => `${error.instancePath || "/"} ${error.message}`);
+      console.warn(`Skipped overlay entry ${entry.path}: ${errors.join("; ")}`);
+      return acc;
+    }
+    return { ...acc, [entry.id]: entry.record };
   }, {});
 }
 
-function normalizeLibraryRecord(baseLib, overlayEntry = {}) {
-  const merged = deepMerge(baseLib, overlayEntry);
+function normalizeInferredFacets(inferred, overlayEntry, record) {
+  return INFERRED_FACETS.reduce((acc, facet) => {
+    if (overlayEntry && overlayEntry[facet] !== undefined) return acc;
+    const values = normalizeStringList(inferred && inferred[facet]).filter((value) =>
+      record[facet].includes(value)
+    );
+    return values.length > 0 ? { ...acc, [facet]: values } : acc;
+  }, {});
+}
+
+async function inferLibraryFacets(artifacts, id, version, rootDir = REPO_ROOT) {
+  try {
+    return inferFacets(await readXodball(findArtifact(artifacts, id, version), rootDir));
+  } catch (error) {
+    console.warn(`Facet inference failed for ${id}: ${error.message}`);
+    return {};
+  }
+}
+
+function normalizeFieldSources(fieldSources, overlayEntry) {
+  return SOURCED_FIELDS.reduce((acc, field) => {
+    if (overlayEntry && overlayEntry[field] !== undefined) return { ...acc, [field]: "overlay" };
+    const source = toNonEmptyString(fieldSources && fieldSources[field]);
+    return source ? { ...acc, [field]: source } : acc;
+  }, {});
+}
+
+function normalizeLibraryRecord(baseLib, overlayEntry = {}, inferred = {}, resolveBoard = () => null) {
+  const inferredBase = INFERRED_FACETS.reduce(
+    (acc, facet) => ({ ...acc, [facet]: normalizeStringList(inferred[facet]) }),
+    baseLib
+  );
+  const merged = deepMerge(inferredBase, overlayEntry);
 
   const id = baseLib.id;
   const source =
@@ -425,13 +872,20 @@ function normalizeLibraryRecord(baseLib, overlayEntry = {}) {
 
   const latest = toNonEmptyString(merged.latest) || baseLib.latest || "latest";
   const versions = normalizeVersions(merged.versions, latest);
-  const boardCompatibility = normalizeBoardCompatibility(merged.boardCompatibility);
+  const boardCompatibility = normalizeBoardCompatibility(merged.boardCompatibility, resolveBoard);
   const compatibilitySummary = normalizeCompatibilitySummary(
     merged.compatibilitySummary,
-    boardCompatibility
+    boardCompatibility,
+    resolveBoard
   );
   const supportStatus = normalizeSupportStatus(merged.supportStatus);
-  const quality = normalizeQuality(merged);
+  const quality = normalizeQuality(overlayEntry);
+
+  const facets = {
+    tags: normalizeStringList(merged.tags),
+    interfaces: normalizeStringList(merged.interfaces),
+    mcu: normalizeStringList(merged.mcu)
+  };
 
   return {
     id,
@@ -444,9 +898,9 @@ function normalizeLibraryRecord(baseLib, overlayEntry = {}) {
     summary: toNonEmptyString(merged.summary) || "",
     updatedAt: toNonEmptyString(merged.updatedAt) || null,
     license: toNonEmptyString(merged.license) || null,
-    tags: normalizeStringList(merged.tags),
-    interfaces: normalizeStringList(merged.interfaces),
-    mcu: normalizeStringList(merged.mcu),
+    fieldSources: normalizeFieldSources(baseLib.fieldSources, overlayEntry),
+    ...facets,
+    inferredFacets: normalizeInferredFacets(inferred, overlayEntry, facets),
     boardCompatibility,
     compatibilitySummary,
     ...(supportStatus ? { supportStatus } : {}),
@@ -454,57 +908,99 @@ function normalizeLibraryRecord(baseLib, overlayEntry = {}) {
   };
 }
 
-async function run() {
-  if (typeof fetch !== "function") {
-    throw new Error("Global fetch is unavailable. Please run with Node.js 20+.");
-  }
+function toNodeCatalogLink(entry) {
+  if (!entry) return null;
+  return {
+    path: NODES_FILE,
+    version: entry.version,
+    count: entry.nodes.length
+  };
+}
 
-  console.log("Sync started");
+async function writeJsonAtomic(filePath, payload, indent = 2) {
+  const stableJson = `${JSON.stringify(payload, null, indent)}\n`;
+  JSON.parse(stableJson);
 
-  const overlay = await readOverlayMap();
-  const discoveredIds = [];
-  const seenIds = new Set();
-  let page = 1;
+  const tempPath = `${filePath}.tmp`;
+  await fs.writeFile(tempPath, stableJson, "utf8");
+  await fs.rename(tempPath, filePath);
+}
 
-  while (true) {
-    const html = await fetchListPage(page);
-    if (html === null) {
-      if (page === 1) {
-        throw new Error("Unable to fetch initial XOD.io library list page");
-      }
-      break;
-    }
+async function run(options = {}) {
+  const indexDir = options.indexDir || INDEX_DIR;
+  const mirrorRoot = options.mirrorRoot || REPO_ROOT;
+  const outputPath = path.join(indexDir, OUTPUT_FILE);
+  const maxShrinkPercent = options.maxShrinkPercent ?? readMaxShrinkPercentEnv();
 
-    const ids = extractLibraryIdsFromList(html);
-    if (ids.length === 0) break;
-    if (ids.every((id) => seenIds.has(id))) break;
+  fixtures.mode = options.fixtureMode || null;
+  fixtures.dir = options.fixturesDir || null;
+  fixtures.manifest = fixtures.mode === "replay" ? await readFixtureManifest(fixtures.dir) : {};
 
-    discoveredIds.push(...ids);
-    for (const id of ids) seenIds.add(id);
-    console.log(`Page ${page}: found ${ids.length} library ids`);
-    page += 1;
+  if (fixtures.mode !== "replay" && typeof fetch !== "function") {
+    throw new Error("Global fetch is unavailable. Please run with Node.js 20+.");
   }
 
-  const uniqueIds = uniqStrings(discoveredIds).sort((a, b) => a.localeCompare(b));
-  if (uniqueIds.length === 0) {
+  console.log(`Sync started${fixtures.mode ? ` (${fixtures.mode} fixtures in ${fixtures.dir})` : ""}`);
+
+  const overlay = await readOverlayMap(options.overlayPath || OVERLAY_PATH);
+  const resolveBoard = createBoardResolver(await readBoardList(options.boardListPath || BOARD_LIST_PATH));
+  const syncStatePath = path.join(indexDir, SYNC_STATE_FILE);
+  const storedSyncState = await readSyncState(syncStatePath);
+  const previousSyncState = options.full ? {} : storedSyncState;
+  const mirrorArtifacts = await readMirrorArtifacts(path.join(mirrorRoot, "mirror", "state.json"));
+  const previousIndex = await readPreviousIndex(outputPath);
+  const removedPath = path.join(indexDir, REMOVED_FILE);
+  const previousTombstones = await readTombstones(removedPath);
+  const pmApi = await loadPmApi();
+  console.log(`Metadata source: ${pmApi ? "pm.xod.io API" : "xod.io HTML pages"}`);
+  const discoveredIds = await discoverLibraryIds(pmApi);
+
+  if (discoveredIds.length === 0) {
     throw new Error("No libraries were discovered from XOD.io pages");
   }
 
+  const listedIds = new Set(discoveredIds);
+  const unlistedIds = Object.keys(previousIndex.libraries).filter((id) => !listedIds.has(id));
+  if (unlistedIds.length > 0) {
+    console.log(
+      `${unlistedIds.length} previously indexed libraries are missing from the listing, checking them directly`
+    );
+  }
+
+  const uniqueIds = uniqStrings([...discoveredIds, ...unlistedIds]).sort((a, b) => a.localeCompare(b));
+
   const libraries = [];
   const skippedIds = [];
-  for (const id of uniqueIds) {
+  const notFoundIds = [];
+  const nextSyncState = {};
+  const outcomes = { refetched: 0, unchanged: 0, notModified: 0 };
+  await mapWithConcurrency(uniqueIds, scheduler.concurrency, async (id) => {
     try {
-      const detail = await fetchLibraryDetail(id);
-      const normalized = retry(() => normalizeLibraryRecord(detail, overlay[id] || {}));
+      const { detail, syncEntry, outcome } = await fetchLibraryDetail(
+        id,
+        previousSyncState[id] || null,
+        pmApi
+      );
+      nextSyncState[id] = syncEntry;
+      outcomes[outcome] += 1;
+      const inferred = await inferLibraryFacets(mirrorArtifacts, id, detail.latest, mirrorRoot);
+      const normalized = retry(() => normalizeLibraryRecord(detail, overlay[id] || {}, inferred, resolveBoard));
       libraries.push(normalized);
-      console.log(`Processed ${id}`);
+      console.log(`Processed ${id} (${outcome})`);
     } catch (error) {
+      if (error.status === 404) {
+        notFoundIds.push(id);
+        console.warn(`Not found upstream ${id}: ${error.message}`);
+        return;
+      }
       skippedIds.push(id);
       console.warn(`Skipped ${id}: ${error.message}`);
     }
-  }
+  });
 
   libraries.sort((a, b) => a.id.localeCompare(b.id));
+  skippedIds.sort((a, b) => a.localeCompare(b));
+  notFoundIds.sort((a, b) => a.localeCompare(b));
 
   if (libraries.length === 0) {
     throw new Error(
@@ -512,6 +1008,16 @@ async function run() {
     );
   }
 
+  const carriedForwardIds = [];
+  for (const id of skippedIds) {
+    const detail = toCarriedForwardDetail(id, storedSyncState[id], previousIndex.libraries[id]);
+    if (!detail) continue;
+    const inferred = await inferLibraryFacets(mirrorArtifacts, id, detail.latest, mirrorRoot);
+    libraries.push(normalizeLibraryRecord(detail, overlay[id] || {}, inferred, resolveBoard));
+    carriedForwardIds.push(id);
+  }
+  libraries.sort((a, b) => a.id.localeCompare(b.id));
+
   const duplicateIds = libraries
     .map((lib) => lib.id)
     .filter((id, i, arr) => arr.indexOf(id) !== i);
@@ -525,27 +1031,168 @@ async function run() {
     }
   }
 
+  if (fixtures.mode === "record") {
+    await writeFixtureManifest(fixtures.dir, fixtures.manifest);
+    console.log(`Recorded ${Object.keys(fixtures.manifest).length} pages to ${fixtures.dir}`);
+  }
+
+  const graph = await buildDependencyGraph(libraries, mirrorArtifacts, mirrorRoot);
+  const nodeCatalog = await buildNodeCatalog(libraries, mirrorArtifacts, mirrorRoot);
+  const similarity = await buildSimilarity(libraries, mirrorArtifacts, mirrorRoot);
+  const quality = await buildQuality(libraries, mirrorArtifacts, mirrorRoot);
+  const generatedAt = new Date().toISOString();
+  const tombstones = buildTombstones(previousTombstones, notFoundIds, previousIndex, libraries, generatedAt);
+  const removed = {
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt,
+    libraries: tombstones.libraries
+  };
   const output = {
-    generatedAt: new Date().toISOString(),
-    libraries
+    schemaVersion: SCHEMA_VERSION,
+    generatedAt,
+    libraries: libraries.map((lib) => ({
+      ...lib,
+      ...graph.libraries[lib.id],
+      quality: mergeQuality(lib.quality, quality[lib.id]),
+      nodeCatalog: toNodeCatalogLink(nodeCatalog.libraries[lib.id]),
+      duplicateOf: similarity[lib.id] ? similarity[lib.id].duplicateOf : null,
+      similarTo: similarity[lib.id] ? similarity[lib.id].similarTo : []
+    }))
   };
 
-  const stableJson = `${JSON.stringify(output, null, 2)}\n`;
-  JSON.parse(stableJson);
+  assertMatchesSchema("index", output);
+  assertMatchesSchema("removed", removed);
 
-  const tempPath = `${OUTPUT_PATH}.tmp`;
-  await fs.writeFile(tempPath, stableJson, "utf8");
-  await fs.rename(tempPath, OUTPUT_PATH);
+  const shrinkage = measureShrinkage(previousIndex, libraries);
+  const shrinkProblem = checkShrinkage(shrinkage, maxShrinkPercent);
+  if (shrinkProblem && !options.allowShrink) {
+    const quarantinePath = path.join(indexDir, QUARANTINE_FILE);
+    await fs.mkdir(indexDir, { recursive: true });
+    await writeJsonAtomic(quarantinePath, output);
+    console.warn(`Vanished libraries: ${shrinkage.vanishedLibraries.join(", ") || "none"}`);
+    throw new Error(
+      `Refusing to write ${outputPath}: ${shrinkProblem}. The candidate index was written to ${quarantinePath}; `
+        + "rerun with --allow-shrink if the removals are expected."
+    );
+  }
+  if (shrinkProblem) {
+    console.warn(`Index shrinkage accepted with --allow-shrink: ${shrinkProblem}`);
+  }
+  await fs.mkdir(indexDir, { recursive: true });
+  await writeJsonAtomic(outputPath, output);
+  await writeJsonAtomic(removedPath, removed);
+  await writeJsonAtomic(path.join(indexDir, GRAPH_FILE), { generatedAt, ...graph });
+  await writeJsonAtomic(path.join(indexDir, NODES_FILE), { generatedAt, ...nodeCatalog });
+  await writeJsonAtomic(
+    path.join(indexDir, SEARCH_INDEX_FILE),
+    { generatedAt, ...buildSearchIndex(output) },
+    0
+  );
+  await writeJsonAtomic(syncStatePath, {
+    scraperVersion: SCRAPER_VERSION,
+    libraries: Object.fromEntries(
+      uniqueIds
+        .filter((id) => nextSyncState[id] || storedSyncState[id])
+        .map((id) => [id, nextSyncState[id] || storedSyncState[id]])
+    )
+  });
 
-  console.log(`Wrote ${libraries.length} libraries to ${OUTPUT_PATH}`);
+  console.log(`Wrote ${libraries.length} libraries to ${outputPath}`);
+  console.log(
+    `Detail pages: refetched=${outcomes.refetched}, reused=${outcomes.unchanged + outcomes.notModified} `
+      + `(notModified=${outcomes.notModified}, unchangedContent=${outcomes.unchanged})`
+  );
+  const invalidVersions = libraries.flatMap((lib) =>
+    findInvalidVersions(lib.versions.filter((version) => version !== "latest")).map((version) => `${lib.id}@${version}`)
+  );
+  if (invalidVersions.length > 0) {
+    console.warn(`Invalid versions in upstream data (sorted last, never picked as latest): ${invalidVersions.join(", ")}`);
+  }
+  const unknownBoards = uniqStrings(
+    libraries.flatMap((lib) => [
+      ...Object.keys(lib.boardCompatibility),
+      ...Object.values(lib.compatibilitySummary).flat(),
+    ]).filter((boardId) => !resolveBoard(boardId))
+  ).sort((a, b) => a.localeCompare(b));
+  if (unknownBoards.length > 0) {
+    console.warn(`Board ids not in index/board-list.json: ${unknownBoards.join(", ")}`);
+  }
+  if (graph.missing.length > 0) {
+    console.warn(
+      `Missing dependencies not in the index: ${graph.missing.map((dep) => dep.id).join(", ")}`
+    );
+  }
+  const newlyRemovedIds = notFoundIds.filter((id) => !previousTombstones[id] && previousIndex.libraries[id]);
+  if (newlyRemovedIds.length > 0) {
+    console.warn(`Removed upstream: ${newlyRemovedIds.join(", ")}`);
+  }
+  if (tombstones.restoredIds.length > 0) {
+    console.log(`Restored after removal: ${tombstones.restoredIds.join(", ")}`);
+  }
   if (skippedIds.length > 0) {
     console.warn(
-      `Skipped ${skippedIds.length} libraries due to fetch errors: ${skippedIds.join(", ")}`
+      `Skipped ${skippedIds.length} libraries due to fetch errors (not treated as removed): ${skippedIds.join(", ")}`
     );
   }
+  if (carriedForwardIds.length > 0) {
+    console.warn(`Carried forward previous records for: ${carriedForwardIds.join(", ")}`);
+  }
 }
 
-run().catch((error) => {
-  console.error(`Sync failed: ${error.message}`);
-  process.exitCode = 1;
-});
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      record: { type: "string" },
+      replay: { type: "string" },
+      "out-dir": { type: "string" },
+      overlay: { type: "string" },
+      "board-list": { type: "string" },
+      "mirror-root": { type: "string" },
+      full: { type: "boolean", default: false },
+      "max-shrink": { type: "string" },
+      "allow-shrink": { type: "boolean", default: false }
+    }
+  });
+
+  const maxShrinkPercent = values["max-shrink"] === undefined ? undefined : Number(values["max-shrink"]);
+  if (maxShrinkPercent !== undefined && !(maxShrinkPercent >= 0 && maxShrinkPercent <= 100)) {
+    throw new Error("--max-shrink must be a percentage between 0 and 100");
+  }
+
+  const modes = FIXTURE_MODES.filter((mode) => values[mode] !== undefined);
+  if (modes.length > 1) {
+    throw new Error("--record and --replay cannot be combined");
+  }
+
+  return {
+    fixtureMode: modes[0] || null,
+    fixturesDir: modes[0] ? path.resolve(values[modes[0]]) : null,
+    indexDir: values["out-dir"] ? path.resolve(values["out-dir"]) : INDEX_DIR,
+    overlayPath: values.overlay ? path.resolve(values.overlay) : OVERLAY_PATH,
+    boardListPath: values["board-list"] ? path.resolve(values["board-list"]) : BOARD_LIST_PATH,
+    mirrorRoot: values["mirror-root"] ? path.resolve(values["mirror-root"]) : REPO_ROOT,
+    full: values.full,
+    maxShrinkPercent,
+    allowShrink: values["allow-shrink"]
+  };
+}
+
+module.exports = {
+  run,
+  extractVersionsFromText,
+  extractMetaDescription,
+  extractUpdatedAt,
+  extractLicense,
+  parseLibraryApiPayload,
+  normalizeLibraryRecord
+};
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => run(parseCli(process.argv.slice(2))))
+    .catch((error) => {
+      console.error(`Sync failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
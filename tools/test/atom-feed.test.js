@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { updateFeedState, buildFeedEntries, renderAtomFeed } = require("../lib/atom-feed");
+
+function indexAt(generatedAt, libraries) {
+  return { generatedAt, libraries };
+}
+
+const FIRST = indexAt("2024-03-01T02:00:00.000Z", [
+  { id: "acme/display", latest: "0.2.0", versions: ["0.2.0", "0.1.0"], updatedAt: "2023-05-14", summary: "LCD <text> & more" },
+  { id: "xod/i2c", latest: "0.37.3", versions: ["0.37.3"], updatedAt: null, summary: "" },
+]);
+const MIRROR = {
+  "acme/display@v0.1.0": { mirroredAt: "2022-01-01T00:00:00.000Z" },
+};
+
+test("the first run dates existing versions from mirror and index history", () => {
+  const { state, added } = updateFeedState({}, FIRST, MIRROR);
+
+  assert.deepEqual(added, ["acme/display@0.2.0", "acme/display@0.1.0", "xod/i2c@0.37.3"]);
+  assert.deepEqual(state.versions, {
+    "acme/display@0.1.0": "2022-01-01T00:00:00.000Z",
+    "acme/display@0.2.0": "2023-05-14T00:00:00.000Z",
+    "xod/i2c@0.37.3": "2024-03-01T02:00:00.000Z",
+  });
+});
+
+test("later runs only add newly observed versions and keep earlier timestamps", () => {
+  const { state: first } = updateFeedState({}, FIRST, MIRROR);
+  const next = indexAt("2024-03-02T02:00:00.000Z", [
+    { ...FIRST.libraries[0], latest: "0.3.0", versions: ["0.3.0", "0.2.0", "0.1.0"] },
+    FIRST.libraries[1],
+  ]);
+  const { state, added } = updateFeedState(first, next, MIRROR);
+
+  assert.deepEqual(added, ["acme/display@0.3.0"]);
+  assert.equal(state.versions["acme/display@0.3.0"], "2024-03-02T02:00:00.000Z");
+  assert.equal(state.versions["acme/display@0.2.0"], first.versions["acme/display@0.2.0"]);
+
+  const entries = buildFeedEntries(state, next);
+  assert.deepEqual(entries.map((entry) => entry.key), [
+    "acme/display@0.3.0",
+    "xod/i2c@0.37.3",
+    "acme/display@0.2.0",
+    "acme/display@0.1.0",
+  ]);
+});
+
+test("rendered feeds are stable and escape library text", () => {
+  const { state } = updateFeedState({}, FIRST, MIRROR);
+  const render = () => renderAtomFeed({
+    id: "all",
+    title: "XOD library versions",
+    selfPath: "index/feed.xml",
+    entries: buildFeedEntries(state, FIRST),
+    baseUrl: "https://example.test/",
+    limit: 2,
+  });
+  const xml = render();
+
+  assert.equal(xml, render());
+  assert.equal((xml.match(/<entry>/g) || []).length, 2);
+  assert.match(xml, /<updated>2024-03-01T02:00:00.000Z<\/updated>/);
+  assert.match(xml, /<id>tag:github.com,2024:JoyfulOak\/xod2-library-index:acme\/display@0.2.0<\/id>/);
+  assert.match(xml, /<summary>LCD &lt;text&gt; &amp; more<\/summary>/);
+  assert.match(xml, /href="https:\/\/example.test\/mirror\/libs\/acme\/display\/v0.2.0.xodball.json"/);
+});
+
+test("entries link the stored object of content-addressed artifacts", () => {
+  const object = `mirror/objects/ab/${"ab".repeat(32)}.xodball.json`;
+  const { state } = updateFeedState({}, FIRST, MIRROR);
+  const entries = buildFeedEntries(state, FIRST, { "acme/display@v0.2.0": { object } });
+
+  assert.equal(entries.find((entry) => entry.key === "acme/display@0.2.0").xodballPath, object);
+  assert.equal(entries.find((entry) => entry.key === "xod/i2c@0.37.3").xodballPath, "mirror/libs/xod/i2c/v0.37.3.xodball.json");
+});
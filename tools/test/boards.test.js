@@ -0,0 +1,169 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { createBoardResolver, buildBoardReport, renderMatrixMarkdown, renderMatrixHtml } = require("../lib/boards");
+const { normalizeLibraryRecord } = require("../sync-xodio");
+const { run } = require("../build-boards");
+
+const BOARD_LIST = {
+  boards: {
+    esp32dev: { name: "ESP32 DevKit", mcu: "esp32", aliases: ["esp32-devkit", "esp32:esp32:esp32"] },
+    nano: { name: "Arduino Nano", mcu: "avr", aliases: ["arduino-nano"] },
+    uno: { name: "Arduino Uno", mcu: "avr", aliases: ["arduino-uno"] },
+  },
+};
+
+function library(id, boardCompatibility, compatibilitySummary = {}) {
+  return {
+    id,
+    latest: "1.0.0",
+    boardCompatibility,
+    compatibilitySummary: { workingBoards: [], brokenBoards: [], untestedBoards: [], ...compatibilitySummary },
+  };
+}
+
+test("board ids and aliases resolve to the canonical id regardless of case and separators", () => {
+  const resolveBoard = createBoardResolver(BOARD_LIST);
+
+  assert.equal(resolveBoard("esp32dev"), "esp32dev");
+  assert.equal(resolveBoard("ESP32-DevKit"), "esp32dev");
+  assert.equal(resolveBoard("ESP32_DevKit"), "esp32dev");
+  assert.equal(resolveBoard("esp32:esp32:esp32"), "esp32dev");
+  assert.equal(resolveBoard("teensy40"), null);
+  assert.throws(
+    () => createBoardResolver({ boards: { uno: { aliases: ["arduino"] }, nano: { aliases: ["Arduino"] } } }),
+    /claimed by both uno and nano/
+  );
+});
+
+test("sync stores board compatibility under canonical ids", () => {
+  const record = normalizeLibraryRecord(
+    { id: "acme/radio", latest: "1.0.0", versions: ["1.0.0"] },
+    {
+      boardCompatibility: {
+        "ESP32-DevKit": { status: "working", notes: "Core 3.x" },
+        esp32dev: { status: "broken" },
+        teensy40: { status: "untested" },
+      },
+      compatibilitySummary: { workingBoards: ["arduino-nano"] },
+    },
+    {},
+    createBoardResolver(BOARD_LIST)
+  );
+
+  assert.deepEqual(record.boardCompatibility, {
+    esp32dev: {
+      status: "broken",
+      claims: [
+        { board: "ESP32-DevKit", status: "working", notes: "Core 3.x" },
+        { board: "esp32dev", status: "broken" },
+      ],
+    },
+    teensy40: { status: "untested" },
+  });
+  assert.deepEqual(record.compatibilitySummary.workingBoards, ["nano"]);
+});
+
+test("aliases of one board that carry different notes are reported as a conflict", () => {
+  const resolveBoard = createBoardResolver(BOARD_LIST);
+  const record = normalizeLibraryRecord(
+    { id: "acme/radio", latest: "1.0.0", versions: ["1.0.0"] },
+    {
+      boardCompatibility: {
+        "esp32-devkit": { status: "working", notes: "Core 2.x only" },
+        "esp32:esp32:esp32": { status: "working", notes: "Core 3.x" },
+        uno: { status: "working", notes: "Tested on R3" },
+      },
+    },
+    {},
+    resolveBoard
+  );
+  const report = buildBoardReport({ libraries: [record] }, BOARD_LIST);
+
+  assert.deepEqual(report.conflicts, [{
+    id: "acme/radio",
+    board: "esp32dev",
+    claims: [
+      { status: "working", source: "boardCompatibility", board: "esp32-devkit", notes: "Core 2.x only" },
+      { status: "working", source: "boardCompatibility", board: "esp32:esp32:esp32", notes: "Core 3.x" },
+      { status: "working", source: "workingBoards" },
+    ],
+  }]);
+  assert.deepEqual(report.boards.esp32dev.counts, { working: 1, broken: 0, untested: 0 });
+  assert.deepEqual(report.boards.uno.conflicts, []);
+  assert.match(
+    renderMatrixMarkdown(report),
+    /- `acme\/radio` on `esp32dev`: working \(boardCompatibility as esp32-devkit\) "Core 2\.x only", working \(boardCompatibility as esp32:esp32:esp32\) "Core 3\.x", working \(workingBoards\)/
+  );
+});
+
+test("the board report counts statuses per board and lists conflicts and unknown boards", () => {
+  const report = buildBoardReport(
+    {
+      libraries: [
+        library("acme/radio", { esp32dev: { status: "working", notes: "Core 3.x" }, nano: { status: "broken" } }),
+        library("acme/lcd", { uno: { status: "working" } }, { brokenBoards: ["uno"], workingBoards: ["ESP32-DevKit"] }),
+        library("acme/teensy", { teensy40: { status: "working" } }),
+      ],
+    },
+    BOARD_LIST
+  );
+
+  assert.deepEqual(report.boards.esp32dev.counts, { working: 2, broken: 0, untested: 0 });
+  assert.deepEqual(report.boards.esp32dev.libraries, [
+    { id: "acme/lcd", latest: "1.0.0", status: "working" },
+    { id: "acme/radio", latest: "1.0.0", status: "working", notes: "Core 3.x" },
+  ]);
+  assert.deepEqual(report.boards.uno.libraries, [{ id: "acme/lcd", latest: "1.0.0", status: "working" }]);
+  assert.deepEqual(report.conflicts, [{
+    id: "acme/lcd",
+    board: "uno",
+    claims: [{ status: "working", source: "boardCompatibility" }, { status: "broken", source: "brokenBoards" }],
+  }]);
+  assert.deepEqual(report.boards.uno.conflicts.map((item) => item.id), ["acme/lcd"]);
+  assert.deepEqual(report.unknownBoards, [{ board: "teensy40", libraries: ["acme/teensy"] }]);
+
+  const markdown = renderMatrixMarkdown(report);
+  assert.match(markdown, /\| `esp32dev` ESP32 DevKit \| esp32 \| 2 \| 0 \| 0 \|/);
+  assert.match(markdown, /\| `acme\/radio` \| working \| broken \| {2}\|/);
+  assert.match(markdown, /- `acme\/lcd` on `uno`: working \(boardCompatibility\), broken \(brokenBoards\)/);
+  assert.match(markdown, /- `teensy40`: `acme\/teensy`/);
+  assert.match(renderMatrixHtml(report), /<td class="broken">broken<\/td>/);
+});
+
+test("build-boards writes one view per canonical board and drops stale views", async () => {
+  const indexDir = await fs.mkdtemp(path.join(os.tmpdir(), "xod2-boards-"));
+  try {
+    const boardListPath = path.join(indexDir, "board-list.json");
+    await fs.writeFile(boardListPath, JSON.stringify(BOARD_LIST));
+    await fs.writeFile(path.join(indexDir, "index.json"), JSON.stringify({
+      generatedAt: "2026-01-01T00:00:00.000Z",
+      libraries: [library("acme/radio", { esp32dev: { status: "working" } })],
+    }));
+    await fs.mkdir(path.join(indexDir, "boards"));
+    await fs.writeFile(path.join(indexDir, "boards", "old-board.json"), "{}\n");
+
+    const log = console.log;
+    console.log = () => {};
+    try {
+      await run({ indexDir, boardListPath, htmlPath: null });
+    } finally {
+      console.log = log;
+    }
+
+    assert.deepEqual((await fs.readdir(path.join(indexDir, "boards"))).sort(), [
+      "esp32dev.json",
+      "matrix.md",
+      "nano.json",
+      "uno.json",
+    ]);
+    const view = JSON.parse(await fs.readFile(path.join(indexDir, "boards", "esp32dev.json"), "utf8"));
+    assert.equal(view.generatedAt, "2026-01-01T00:00:00.000Z");
+    assert.deepEqual(view.counts, { working: 1, broken: 0, untested: 0 });
+  } finally {
+    await fs.rm(indexDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,34 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const path = require("path");
+
+const { validateAgainstSchema } = require("../lib/schema");
+
+const ROOT_DIR = path.resolve(__dirname, "..", "..");
+const COMMITTED_FILES = [
+  ["index", "index/index.json"],
+  ["overlay", "index/overlay.json"],
+  ["boardList", "index/board-list.json"],
+  ["mirrorIndex", "mirror/index.json"],
+  ["mirrorState", "mirror/state.json"],
+];
+
+async function readCommitted(relativePath) {
+  return JSON.parse(await fs.readFile(path.join(ROOT_DIR, relativePath), "utf8"));
+}
+
+for (const [schemaName, relativePath] of COMMITTED_FILES) {
+  test(`committed ${relativePath} matches its schema`, async () => {
+    assert.deepEqual(validateAgainstSchema(schemaName, await readCommitted(relativePath)), []);
+  });
+}
+
+test("committed board views match board-view.schema.json", async () => {
+  const boardsDir = path.join(ROOT_DIR, "index", "boards");
+  const files = (await fs.readdir(boardsDir)).filter((file) => file.endsWith(".json"));
+  assert.ok(files.length > 0);
+  for (const file of files) {
+    assert.deepEqual(validateAgainstSchema("boardView", await readCommitted(`index/boards/${file}`)), [], file);
+  }
+});
@@ -0,0 +1,138 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const {
+  sha256,
+  objectPathFor,
+  writeArtifactContent,
+  migrateToContentStore,
+  buildDuplicateClusters,
+} = require("../lib/content-store");
+const { verifyArtifacts } = require("../lib/mirror-verify");
+
+const TEMPLATE = '{\n  "name": "welcome-to-xod"\n}\n';
+
+function artifact(id, version, content) {
+  return {
+    id,
+    version,
+    path: `mirror/libs/${id}/${version}.xodball.json`,
+    sha256: sha256(content),
+    bytes: Buffer.byteLength(content, "utf8"),
+  };
+}
+
+async function withRoot(fn) {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "content-store-"));
+  try {
+    return await fn(rootDir);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+}
+
+async function writePlain(rootDir, item, content) {
+  await fs.mkdir(path.dirname(path.join(rootDir, item.path)), { recursive: true });
+  await fs.writeFile(path.join(rootDir, item.path), content);
+}
+
+test("migration stores identical xodballs once and keeps artifact paths regular files", async () => {
+  await withRoot(async (rootDir) => {
+    const artifacts = {
+      "alice/welcome-to-xod@v0.29.0": artifact("alice/welcome-to-xod", "v0.29.0", TEMPLATE),
+      "bob/welcome-to-xod@v0.29.0": artifact("bob/welcome-to-xod", "v0.29.0", TEMPLATE),
+      "bob/broken@v1.0.0": artifact("bob/broken", "v1.0.0", "{}\n"),
+      "carol/linked@v1.0.0": artifact("carol/linked", "v1.0.0", TEMPLATE),
+    };
+    await writePlain(rootDir, artifacts["alice/welcome-to-xod@v0.29.0"], TEMPLATE);
+    await writePlain(rootDir, artifacts["bob/welcome-to-xod@v0.29.0"], TEMPLATE);
+    await writePlain(rootDir, artifacts["bob/broken@v1.0.0"], "{");
+    const linkedPath = path.join(rootDir, artifacts["carol/linked@v1.0.0"].path);
+    await fs.mkdir(path.dirname(linkedPath), { recursive: true });
+    await fs.symlink(path.relative(path.dirname(linkedPath), path.join(rootDir, artifacts["alice/welcome-to-xod@v0.29.0"].path)), linkedPath);
+
+    const result = await migrateToContentStore(artifacts, rootDir);
+
+    assert.deepEqual(result.migrated, ["alice/welcome-to-xod@v0.29.0", "bob/welcome-to-xod@v0.29.0", "carol/linked@v1.0.0"]);
+    assert.deepEqual(result.skipped, ["bob/broken@v1.0.0"]);
+    const object = objectPathFor(sha256(TEMPLATE));
+    assert.equal(result.artifacts["alice/welcome-to-xod@v0.29.0"].object, object);
+    assert.equal(result.artifacts["bob/broken@v1.0.0"].object, undefined);
+    assert.deepEqual(await fs.readdir(path.join(rootDir, path.dirname(object))), [path.basename(object)]);
+
+    for (const key of result.migrated) {
+      const artifactPath = path.join(rootDir, result.artifacts[key].path);
+      assert.ok((await fs.lstat(artifactPath)).isFile(), key);
+      assert.equal(await fs.readFile(artifactPath, "utf8"), TEMPLATE);
+    }
+
+    const again = await migrateToContentStore(result.artifacts, rootDir);
+    assert.deepEqual(again.migrated, []);
+    assert.deepEqual(again.artifacts, result.artifacts);
+  });
+});
+
+test("artifacts are stored once by sha256 and stay regular files at their lookup paths", async () => {
+  await withRoot(async (rootDir) => {
+    const first = artifact("alice/welcome-to-xod", "v0.29.0", TEMPLATE);
+    const second = artifact("bob/welcome-to-xod", "v0.29.0", TEMPLATE);
+    const stored = await writeArtifactContent(first.path, TEMPLATE, rootDir);
+    await writeArtifactContent(second.path, TEMPLATE, rootDir);
+
+    assert.deepEqual(stored, { object: objectPathFor(first.sha256), sha256: first.sha256, bytes: first.bytes });
+    for (const item of [first, second]) {
+      assert.ok((await fs.lstat(path.join(rootDir, item.path))).isFile());
+    }
+    assert.deepEqual(await fs.readdir(path.join(rootDir, "mirror", "objects", first.sha256.slice(0, 2))), [
+      path.basename(stored.object),
+    ]);
+  });
+});
+
+test("rewriting one artifact never changes content shared with another", async () => {
+  await withRoot(async (rootDir) => {
+    const first = artifact("alice/welcome-to-xod", "v0.29.0", TEMPLATE);
+    const second = artifact("bob/welcome-to-xod", "v0.29.0", TEMPLATE);
+    const stored = await writeArtifactContent(first.path, TEMPLATE, rootDir);
+    await writeArtifactContent(second.path, TEMPLATE, rootDir);
+
+    const changed = await writeArtifactContent(second.path, '{\n  "name": "fork"\n}\n', rootDir);
+
+    assert.notEqual(changed.object, stored.object);
+    assert.equal(await fs.readFile(path.join(rootDir, first.path), "utf8"), TEMPLATE);
+    assert.equal(await fs.readFile(path.join(rootDir, stored.object), "utf8"), TEMPLATE);
+    const report = await verifyArtifacts({ a: { ...first, ...stored }, b: { ...second, ...changed } }, rootDir);
+    assert.equal(report.ok, 2);
+    assert.deepEqual(report.unreferenced, []);
+  });
+});
+
+test("verification checks the stored object as well as the lookup path", async () => {
+  await withRoot(async (rootDir) => {
+    const item = artifact("alice/welcome-to-xod", "v0.29.0", TEMPLATE);
+    const stored = await writeArtifactContent(item.path, TEMPLATE, rootDir);
+    await fs.writeFile(path.join(rootDir, stored.object), "{");
+
+    const report = await verifyArtifacts({ a: { ...item, ...stored } }, rootDir);
+
+    assert.equal(report.ok, 0);
+    assert.deepEqual(report.truncated.map((problem) => problem.path), [stored.object]);
+  });
+});
+
+test("buildDuplicateClusters groups artifacts sharing a sha256", () => {
+  const artifacts = {
+    "alice/welcome-to-xod@v0.29.0": artifact("alice/welcome-to-xod", "v0.29.0", TEMPLATE),
+    "bob/welcome-to-xod@v0.29.0": artifact("bob/welcome-to-xod", "v0.29.0", TEMPLATE),
+    "bob/other@v1.0.0": artifact("bob/other", "v1.0.0", "{}\n"),
+  };
+
+  assert.deepEqual(buildDuplicateClusters(artifacts), [{
+    sha256: sha256(TEMPLATE),
+    bytes: Buffer.byteLength(TEMPLATE),
+    artifacts: ["alice/welcome-to-xod@v0.29.0", "bob/welcome-to-xod@v0.29.0"],
+  }]);
+});
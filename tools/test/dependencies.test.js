@@ -0,0 +1,84 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { parseNodeType, extractDependencies, buildDependencyGraph } = require("../lib/dependencies");
+
+function patch(nodeTypes) {
+  return { nodes: Object.fromEntries(nodeTypes.map((type, i) => [`n${i}`, { id: `n${i}`, type }])) };
+}
+
+function xodball(patches) {
+  return { patches: Object.fromEntries(Object.entries(patches).map(([name, value]) => [`@/${name}`, value])) };
+}
+
+const APP_1_1_0 = xodball({
+  main: patch([
+    "xod/core/clock",
+    "xod/core/add",
+    "Ghost/Lib/thing",
+    "acme/app/helper",
+    "@/helper",
+    "xod/patch-nodes/input-number",
+    "xod/patch-nodes/output-self",
+  ]),
+  helper: patch(["xod/core/add", "xod/patch-nodes/not-implemented-in-xod"]),
+});
+const APP_1_0_0 = xodball({ main: patch(["xod/core/add", "ghost/lib/other"]) });
+
+test("node types name a library and a node; local and patch-node types are not dependencies", () => {
+  assert.deepEqual(parseNodeType("xod/core/add"), { id: "xod/core", node: "add" });
+  assert.deepEqual(parseNodeType("Owner/Lib/nested/node"), { id: "owner/lib", node: "nested/node" });
+  assert.equal(parseNodeType("@/helper"), null);
+  assert.equal(parseNodeType("xod/patch-nodes/input-number"), null);
+  assert.equal(parseNodeType("owner/lib"), null);
+  assert.equal(parseNodeType("owner//node"), null);
+  assert.equal(parseNodeType(null), null);
+});
+
+test("dependencies list each library once with its referenced nodes and leave out self-references", () => {
+  assert.deepEqual(extractDependencies(APP_1_1_0, "acme/app"), [
+    { id: "ghost/lib", nodes: ["thing"] },
+    { id: "xod/core", nodes: ["add", "clock"] },
+  ]);
+  assert.deepEqual(extractDependencies(xodball({ main: patch(["acme/app/helper", "@/helper"]) }), "acme/app"), []);
+});
+
+test("the graph records per-version dependencies, dependents and missing libraries", async () => {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "xod2-deps-"));
+  try {
+    await fs.writeFile(path.join(rootDir, "app-1.1.0.xodball"), JSON.stringify(APP_1_1_0));
+    await fs.writeFile(path.join(rootDir, "app-1.0.0.xodball"), JSON.stringify(APP_1_0_0));
+    const artifacts = {
+      "acme/app@v1.1.0": { path: "app-1.1.0.xodball" },
+      "acme/app@v1.0.0": { path: "app-1.0.0.xodball" },
+      "acme/unmirrored@v2.0.0": { path: "missing.xodball" },
+    };
+
+    const graph = await buildDependencyGraph(
+      [
+        { id: "acme/app", versions: ["1.1.0", "1.0.0"] },
+        { id: "acme/unmirrored", versions: ["2.0.0"] },
+        { id: "xod/core", versions: ["0.35.0"] },
+      ],
+      artifacts,
+      rootDir
+    );
+
+    assert.deepEqual(graph.libraries["acme/app"], {
+      dependencies: {
+        "1.1.0": [{ id: "ghost/lib", nodes: ["thing"] }, { id: "xod/core", nodes: ["add", "clock"] }],
+        "1.0.0": [{ id: "ghost/lib", nodes: ["other"] }, { id: "xod/core", nodes: ["add"] }],
+      },
+      missingDependencies: ["ghost/lib"],
+      dependents: [],
+    });
+    assert.deepEqual(graph.libraries["acme/unmirrored"], { dependencies: {}, missingDependencies: [], dependents: [] });
+    assert.deepEqual(graph.libraries["xod/core"].dependents, ["acme/app"]);
+    assert.deepEqual(graph.missing, [{ id: "ghost/lib", requiredBy: ["acme/app@1.0.0", "acme/app@1.1.0"] }]);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { diffIndexes, isEmptyReport, formatMarkdown } = require("../lib/index-diff");
+
+function lib(id, fields = {}) {
+  return {
+    id,
+    latest: "1.0.0",
+    versions: ["1.0.0"],
+    summary: "",
+    license: "MIT",
+    tags: [],
+    interfaces: [],
+    mcu: [],
+    inferredFacets: {},
+    boardCompatibility: {},
+    quality: {},
+    ...fields,
+  };
+}
+
+function indexOf(...libraries) {
+  return { generatedAt: "2024-03-01T00:00:00.000Z", libraries };
+}
+
+test("diffIndexes reports added, removed, version, latest and license changes", () => {
+  const report = diffIndexes(
+    indexOf(lib("acme/a"), lib("acme/gone"), lib("acme/c", { license: null })),
+    indexOf(
+      lib("acme/a", { latest: "1.1.0", versions: ["1.1.0", "1.0.1", "1.0.0"] }),
+      lib("acme/b", { summary: "Brand new" }),
+      lib("acme/c", { license: "MIT" })
+    ),
+    { from: "HEAD" }
+  );
+
+  assert.deepEqual(report.added, [{ id: "acme/b", latest: "1.0.0", summary: "Brand new" }]);
+  assert.deepEqual(report.removed, [{ id: "acme/gone", latest: "1.0.0" }]);
+  assert.deepEqual(report.newVersions, [{ id: "acme/a", versions: ["1.1.0", "1.0.1"] }]);
+  assert.deepEqual(report.latestChanged, [{ id: "acme/a", from: "1.0.0", to: "1.1.0" }]);
+  assert.deepEqual(report.licenseChanged, [{ id: "acme/c", from: null, to: "MIT" }]);
+  assert.deepEqual(report.summary, {
+    added: 1,
+    removed: 1,
+    newVersions: 2,
+    latestChanged: 1,
+    licenseChanged: 1,
+    overlayChanged: 0,
+  });
+  assert.deepEqual(report.from, { generatedAt: "2024-03-01T00:00:00.000Z", ref: "HEAD" });
+});
+
+test("overlay-driven changes ignore newly inferred facets", () => {
+  const report = diffIndexes(
+    indexOf(lib("acme/a"), lib("acme/b")),
+    indexOf(
+      lib("acme/a", { interfaces: ["i2c"], inferredFacets: { interfaces: ["i2c"] } }),
+      lib("acme/b", {
+        tags: ["sensor"],
+        summary: "Curated",
+        fieldSources: { summary: "overlay" },
+        boardCompatibility: { uno: { status: "working" } },
+      })
+    )
+  );
+
+  assert.deepEqual(report.overlayChanged, [{ id: "acme/b", fields: ["boardCompatibility", "summary", "tags"] }]);
+});
+
+test("formatMarkdown lists each section and says so when nothing changed", () => {
+  const unchanged = diffIndexes(indexOf(lib("acme/a")), indexOf(lib("acme/a")));
+  assert.ok(isEmptyReport(unchanged));
+  assert.equal(formatMarkdown(unchanged), "No library changes.\n");
+
+  const markdown = formatMarkdown(diffIndexes(
+    indexOf(lib("acme/a")),
+    indexOf(lib("acme/a", { latest: "2.0.0", versions: ["2.0.0", "1.0.0"] }), lib("acme/b"))
+  ));
+  assert.equal(markdown, [
+    "1 new library, 0 removed, 1 new version, 1 latest changed, 0 license changes, 0 overlay changes",
+    "",
+    "### New libraries",
+    "",
+    "- `acme/b`: 1.0.0",
+    "",
+    "### New versions",
+    "",
+    "- `acme/a`: 2.0.0",
+    "",
+    "### Latest changed",
+    "",
+    "- `acme/a`: 1.0.0 → 2.0.0",
+    "",
+  ].join("\n"));
+});
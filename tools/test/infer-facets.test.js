@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { inferFacets } = require("../lib/infer-facets");
+
+function patch({ nodeTypes = [], cpp = null, description = "" } = {}) {
+  return {
+    description,
+    nodes: Object.fromEntries(nodeTypes.map((type, i) => [`n${i}`, { id: `n${i}`, type, description }])),
+    ...(cpp !== null ? { attachments: [{ filename: "patch.cpp", encoding: "utf-8", content: cpp }] } : {}),
+  };
+}
+
+function xodball(patches, description = "") {
+  return { description, patches: Object.fromEntries(Object.entries(patches).map(([name, value]) => [`@/${name}`, value])) };
+}
+
+test("interfaces come from includes, peripheral calls and node types", () => {
+  assert.deepEqual(
+    inferFacets(xodball({
+      sensor: patch({ cpp: "#include <Wire.h>\nvoid evaluate(Context ctx) {}" }),
+      display: patch({ nodeTypes: ["xod/common-hardware/spi-transfer"] }),
+      gps: patch({ cpp: "#include <SoftwareSerial.h>" }),
+      probe: patch({ cpp: "DallasTemperature sensors(&oneWire);" }),
+      net: patch({ nodeTypes: ["xod/net/wifi-connect"] }),
+    })).interfaces,
+    ["i2c", "onewire", "spi", "uart", "wifi"]
+  );
+  assert.deepEqual(inferFacets(xodball({ bus: patch({ cpp: "void setup() { Wire.begin(); }" }) })).interfaces, ["i2c"]);
+  assert.deepEqual(inferFacets(xodball({ bus: patch({ nodeTypes: ["xod/i2c/write-byte"] }) })).interfaces, ["i2c"]);
+});
+
+test("MCU families come from architecture macros, preprocessor guards and required cores", () => {
+  const facets = inferFacets(xodball({
+    guard: patch({ cpp: "#if defined(ESP32)\n#include <esp_wifi.h>\n#elif defined(__AVR__)\n#endif" }),
+    board: patch({ cpp: "#ifdef ARDUINO_ARCH_RP2040\n#endif" }),
+    core: patch({ cpp: "#pragma XOD require \"https://github.com/espressif/arduino-esp32\"" }),
+    mcu: patch({ nodeTypes: ["xod-dev/esp8266-mcu/connect"] }),
+  }));
+
+  assert.deepEqual(facets.mcu, ["avr", "esp32", "esp8266", "rp2040"]);
+  assert.deepEqual(facets.interfaces, ["wifi"]);
+});
+
+test("board cores named in #pragma XOD require map to their MCU family", () => {
+  const cores = {
+    avr: "https://github.com/arduino/ArduinoCore-avr",
+    esp32: "https://github.com/espressif/arduino-esp32.git",
+    esp8266: "https://github.com/esp8266/Arduino",
+    nrf52: "https://github.com/adafruit/Adafruit_nRF52_Arduino",
+    rp2040: "https://github.com/earlephilhower/arduino-pico",
+    sam: "https://github.com/arduino/ArduinoCore-sam",
+    samd: "https://github.com/adafruit/ArduinoCore-samd",
+    stm32: "https://github.com/stm32duino/Arduino_Core_STM32",
+  };
+  Object.entries(cores).forEach(([mcu, url]) => {
+    const facets = inferFacets(xodball({ core: patch({ cpp: `#pragma XOD require "${url}"` }) }));
+    assert.deepEqual(facets.mcu, [mcu], url);
+  });
+
+  assert.deepEqual(
+    inferFacets(xodball({ lib: patch({ cpp: "#pragma XOD require \"https://github.com/esp8266/Arduino-Helpers\"" }) })).mcu,
+    []
+  );
+});
+
+test("descriptions, comments and string literals are not inputs and assign no facets", () => {
+  const prose = "Talks SPI, TWI or I2C over a 1-wire UART; tested on ESP32 with Wi-Fi and Ethernet.";
+  const facets = inferFacets(xodball(
+    {
+      doc: patch({ description: prose, nodeTypes: ["xod/core/add"] }),
+      cpp: patch({
+        cpp: [
+          "// Works on ESP32 and ESP8266 too; #include <SPI.h> is not needed",
+          "/* #include <Wire.h>",
+          "   #if defined(NRF52) */",
+          "void evaluate(Context ctx) {",
+          "  emitValue<output_OUT>(ctx, \"ESP32 // Wire.begin()\");",
+          "}",
+        ].join("\n"),
+      }),
+    },
+    prose
+  ));
+
+  assert.deepEqual(facets, { interfaces: [], mcu: [] });
+});
+
+test("a missing xodball infers nothing", () => {
+  assert.deepEqual(inferFacets(null), { interfaces: [], mcu: [] });
+});
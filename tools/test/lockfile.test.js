@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { readProject, toArtifactMap, buildLockfile, checkLockfile } = require("../lib/lockfile");
+const { sha256 } = require("../lib/content-store");
+
+function xodball(name, nodeTypes) {
+  return {
+    name,
+    patches: { "@/main": { nodes: Object.fromEntries(nodeTypes.map((type, i) => [`n${i}`, { id: `n${i}`, type }])) } },
+  };
+}
+
+const LIBRARIES = {
+  "acme/display@1.1.0": xodball("display", ["acme/fonts/latin", "xod/core/clock"]),
+  "acme/display@1.0.0": xodball("display", ["xod/core/clock"]),
+  "acme/fonts@0.2.0": xodball("fonts", ["xod/patch-nodes/output-string"]),
+  "xod/core@0.37.3": xodball("core", ["xod/patch-nodes/input-number"]),
+};
+
+async function withRoot(fn) {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "lockfile-"));
+  try {
+    const artifacts = [];
+    for (const [key, content] of Object.entries(LIBRARIES)) {
+      const [id, version] = key.split("@");
+      const text = `${JSON.stringify(content)}\n`;
+      const artifactPath = `mirror/libs/${id}/v${version}.xodball.json`;
+      await fs.mkdir(path.dirname(path.join(rootDir, artifactPath)), { recursive: true });
+      await fs.writeFile(path.join(rootDir, artifactPath), text);
+      artifacts.push({ id, version: `v${version}`, path: artifactPath, sha256: sha256(text), bytes: Buffer.byteLength(text) });
+    }
+    const indexData = {
+      libraries: [
+        { id: "acme/display", latest: "1.1.0", versions: ["1.1.0", "1.0.0"] },
+        { id: "acme/fonts", latest: "0.2.0", versions: ["0.2.0"] },
+        { id: "xod/core", latest: "0.37.3", versions: ["0.37.3"] },
+      ],
+    };
+    return await fn({ rootDir, indexData, artifacts: toArtifactMap({ artifacts }) });
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+}
+
+async function writeProject(rootDir, nodeTypes) {
+  const projectDir = path.join(rootDir, "blinky");
+  await fs.mkdir(path.join(projectDir, "main"), { recursive: true });
+  await fs.writeFile(path.join(projectDir, "project.xod"), JSON.stringify({ name: "blinky" }));
+  await fs.writeFile(
+    path.join(projectDir, "main", "patch.xodp"),
+    JSON.stringify({ nodes: nodeTypes.map((type, i) => ({ id: `n${i}`, type })), links: [] })
+  );
+  return readProject(projectDir);
+}
+
+test("a project directory locks direct and transitive libraries with mirror hashes", async () => {
+  await withRoot(async (sources) => {
+    const project = await writeProject(sources.rootDir, ["acme/display/show", "@/helper"]);
+    const { lockfile, problems } = await buildLockfile(project, sources);
+
+    assert.deepEqual(problems, []);
+    assert.equal(project.lockfilePath, path.join(sources.rootDir, "blinky", "xod-lock.json"));
+    assert.deepEqual(lockfile.libraries["acme/display"], {
+      version: "1.1.0",
+      sha256: sources.artifacts["acme/display@v1.1.0"].sha256,
+      requires: ["acme/fonts", "xod/core"],
+      direct: true,
+    });
+    assert.deepEqual(Object.keys(lockfile.libraries), ["acme/display", "acme/fonts", "xod/core"]);
+    assert.equal(lockfile.libraries["acme/fonts"].direct, false);
+
+    const pinned = await buildLockfile(project, { ...sources, ranges: { "acme/display": "~1.0" } });
+    assert.deepEqual(Object.keys(pinned.lockfile.libraries), ["acme/display", "xod/core"]);
+    assert.equal(pinned.lockfile.libraries["acme/display"].range, "~1.0");
+  });
+});
+
+test("libraries that cannot be resolved or are not mirrored are reported", async () => {
+  await withRoot(async (sources) => {
+    const project = { name: "broken", xodball: xodball("broken", ["ghost/lib/node", "acme/display/show"]) };
+    const { problems } = await buildLockfile(project, { ...sources, ranges: { "acme/display": "^2" } });
+
+    assert.deepEqual(problems.map((problem) => [problem.id, problem.kind]), [
+      ["acme/display", "unresolved"],
+      ["ghost/lib", "unknown"],
+    ]);
+  });
+});
+
+test("check reports drift, missing artifacts and hash mismatches", async () => {
+  await withRoot(async (sources) => {
+    const project = await writeProject(sources.rootDir, ["acme/display/show"]);
+    const { lockfile } = await buildLockfile(project, sources);
+    assert.equal((await checkLockfile(lockfile, project, sources)).passed, true);
+
+    await fs.writeFile(path.join(sources.rootDir, sources.artifacts["acme/fonts@v0.2.0"].path), "{}\n");
+    await fs.rm(path.join(sources.rootDir, sources.artifacts["xod/core@v0.37.3"].path));
+    const changed = await writeProject(sources.rootDir, ["xod/core/clock", "xod/core/flip-flop", "acme/extra/node"]);
+    const indexData = {
+      libraries: sources.indexData.libraries.map((lib) =>
+        lib.id === "acme/display" ? { ...lib, latest: "1.2.0", versions: ["1.2.0", ...lib.versions] } : lib
+      ),
+    };
+    const report = await checkLockfile(lockfile, changed, { ...sources, indexData });
+
+    assert.equal(report.passed, false);
+    assert.deepEqual(report.missing, [{ id: "xod/core", version: "0.37.3", reason: "fileMissing" }]);
+    assert.deepEqual(report.mismatched.map((item) => item.id), ["acme/fonts"]);
+    assert.deepEqual(report.added, ["acme/extra"]);
+    assert.deepEqual(report.removed, ["acme/display", "acme/fonts"]);
+    assert.deepEqual(report.outdated, [{ id: "acme/display", locked: "1.1.0", available: "1.2.0" }]);
+  });
+});
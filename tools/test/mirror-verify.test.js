@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const http = require("http");
+const os = require("os");
+const path = require("path");
+
+const { sha256, serializeXodball, verifyArtifacts } = require("../lib/mirror-verify");
+const { verifyMirror } = require("../mirror-xodio");
+
+const XODBALLS = {
+  "v0.1.0": { name: "display", version: "0.1.0", patches: {} },
+  "v0.2.0": { name: "display", version: "0.2.0", patches: { "@/main": {} } },
+};
+
+async function withServer(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+function toArtifact(version, baseUrl) {
+  const content = serializeXodball(XODBALLS[version]);
+  return {
+    id: "acme/display",
+    owner: "acme",
+    libname: "display",
+    version,
+    sourceProvider: "pm.xod.io",
+    sourceUrl: `${baseUrl}/orgs/acme/libs/display/versions/${version}/xodball`,
+    path: `mirror/libs/acme/display/${version}.xodball.json`,
+    sha256: sha256(content),
+    bytes: Buffer.byteLength(content, "utf8"),
+    mirroredAt: "2024-03-01T00:00:00.000Z",
+  };
+}
+
+async function createMirror(baseUrl) {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "mirror-verify-"));
+  const artifacts = Object.fromEntries(
+    Object.keys(XODBALLS).map((version) => [`acme/display@${version}`, toArtifact(version, baseUrl)])
+  );
+  await fs.mkdir(path.join(rootDir, "mirror", "libs", "acme", "display"), { recursive: true });
+  for (const version of Object.keys(XODBALLS)) {
+    await fs.writeFile(path.join(rootDir, artifacts[`acme/display@${version}`].path), serializeXodball(XODBALLS[version]));
+  }
+  const state = {
+    schemaVersion: 1,
+    generatedAt: "2024-03-01T00:00:00.000Z",
+    sourceIndexGeneratedAt: null,
+    artifacts,
+  };
+  const index = {
+    schemaVersion: 1,
+    generatedAt: "2024-03-01T00:00:00.000Z",
+    sourceIndexGeneratedAt: null,
+    stats: { totalCandidates: 2, downloaded: 2, skippedExisting: 0, failed: 0, totalMirroredArtifacts: 2 },
+    artifacts: Object.values(artifacts),
+  };
+  await fs.writeFile(path.join(rootDir, "mirror", "state.json"), `${JSON.stringify(state, null, 2)}\n`);
+  await fs.writeFile(path.join(rootDir, "mirror", "index.json"), `${JSON.stringify(index, null, 2)}\n`);
+  return { rootDir, artifacts };
+}
+
+async function readState(rootDir) {
+  return JSON.parse(await fs.readFile(path.join(rootDir, "mirror", "state.json"), "utf8"));
+}
+
+function serveXodballs(overrides = {}) {
+  return (req, res) => {
+    const match = req.url.match(/\/versions\/([^/]+)\/xodball$/);
+    const xodball = match && (overrides[match[1]] || XODBALLS[match[1]]);
+    if (!xodball) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "content-type": "application/json" });
+    res.end(JSON.stringify(xodball));
+  };
+}
+
+test("verifyArtifacts reports missing, truncated, mismatched and unreferenced files", async () => {
+  const { rootDir, artifacts } = await createMirror("http://127.0.0.1:9");
+  try {
+    const libDir = path.join(rootDir, "mirror", "libs", "acme", "display");
+    const extra = { ...artifacts["acme/display@v0.1.0"], version: "v0.3.0", path: "mirror/libs/acme/display/v0.3.0.xodball.json" };
+    await fs.writeFile(path.join(libDir, "v0.1.0.xodball.json"), "{");
+    await fs.writeFile(path.join(libDir, "v0.2.0.xodball.json"), serializeXodball({ ...XODBALLS["v0.2.0"], tampered: true }));
+    await fs.writeFile(path.join(libDir, "v9.9.9.xodball.json"), "{}\n");
+
+    const report = await verifyArtifacts({ ...artifacts, "acme/display@v0.3.0": extra }, rootDir);
+
+    assert.equal(report.checked, 3);
+    assert.equal(report.ok, 0);
+    assert.deepEqual(report.missing.map((item) => item.key), ["acme/display@v0.3.0"]);
+    assert.deepEqual(report.truncated.map((item) => item.key), ["acme/display@v0.1.0"]);
+    assert.deepEqual(report.mismatched.map((item) => item.key), ["acme/display@v0.2.0"]);
+    assert.equal(report.truncated[0].actual.bytes, 1);
+    assert.deepEqual(report.unreferenced, ["mirror/libs/acme/display/v9.9.9.xodball.json"]);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("verifyMirror --repair re-downloads damaged artifacts", async () => {
+  await withServer(serveXodballs(), async (baseUrl) => {
+    const { rootDir, artifacts } = await createMirror(baseUrl);
+    try {
+      const damagedPath = path.join(rootDir, artifacts["acme/display@v0.1.0"].path);
+      await fs.writeFile(damagedPath, "{");
+
+      const report = await verifyMirror({ rootDir, repair: true });
+
+      assert.ok(report.passed);
+      assert.deepEqual(report.repaired, ["acme/display@v0.1.0"]);
+      assert.deepEqual(report.upstreamChanged, []);
+      assert.equal(await fs.readFile(damagedPath, "utf8"), serializeXodball(XODBALLS["v0.1.0"]));
+      assert.equal((await readState(rootDir)).artifacts["acme/display@v0.1.0"].sha256, artifacts["acme/display@v0.1.0"].sha256);
+      assert.ok((await verifyMirror({ rootDir })).passed);
+    } finally {
+      await fs.rm(rootDir, { recursive: true, force: true });
+    }
+  });
+});
+
+test("verifyMirror --check-upstream flags changed immutable versions and keeps the stored copy", async () => {
+  const changed = { ...XODBALLS["v0.2.0"], patches: { "@/main": { rewritten: true } } };
+  await withServer(serveXodballs({ "v0.2.0": changed }), async (baseUrl) => {
+    const { rootDir, artifacts } = await createMirror(baseUrl);
+    try {
+      const report = await verifyMirror({ rootDir, checkUpstream: true });
+      const upstreamSha256 = sha256(serializeXodball(changed));
+
+      assert.equal(report.passed, false);
+      assert.deepEqual(report.upstreamChanged, [{
+        key: "acme/display@v0.2.0",
+        recordedSha256: artifacts["acme/display@v0.2.0"].sha256,
+        upstreamSha256,
+      }]);
+
+      const stored = (await readState(rootDir)).artifacts["acme/display@v0.2.0"];
+      assert.equal(stored.sha256, artifacts["acme/display@v0.2.0"].sha256);
+      assert.equal(stored.upstreamChange.sha256, upstreamSha256);
+      assert.equal(
+        await fs.readFile(path.join(rootDir, stored.path), "utf8"),
+        serializeXodball(XODBALLS["v0.2.0"])
+      );
+
+      const index = JSON.parse(await fs.readFile(path.join(rootDir, "mirror", "index.json"), "utf8"));
+      assert.deepEqual(index.artifacts.find((item) => item.version === "v0.2.0").upstreamChange, stored.upstreamChange);
+
+      await verifyMirror({ rootDir, checkUpstream: true });
+      assert.deepEqual((await readState(rootDir)).artifacts["acme/display@v0.2.0"].upstreamChange, stored.upstreamChange);
+    } finally {
+      await fs.rm(rootDir, { recursive: true, force: true });
+    }
+  });
+});
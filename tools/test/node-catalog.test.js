@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { parseTerminal, extractPatchNodes, buildNodeCatalog } = require("../lib/node-catalog");
+
+function node(type, x, fields = {}) {
+  return { type, position: { x, y: 0 }, ...fields };
+}
+
+function patch(nodes, description) {
+  return {
+    ...(description !== undefined ? { description } : {}),
+    nodes: Object.fromEntries(nodes.map((item, i) => [`n${i}`, { id: `n${i}`, ...item }])),
+  };
+}
+
+const XODBALL = {
+  patches: {
+    "@/read-temperature": patch(
+      [
+        node("xod/patch-nodes/output-number", 0, { label: "T", description: "Temperature in °C" }),
+        node("xod/patch-nodes/input-pulse", 2, { label: "UPD", description: "Triggers a new read" }),
+        node("xod/patch-nodes/input-port", 1, { label: "PORT" }),
+        node("@/input-sensor", 3, { label: "DEV" }),
+        node("xod/i2c/output-i2c", 4),
+        node("xod/patch-nodes/output-self", 5),
+        node("xod/patch-nodes/utility", 6),
+        node("xod/core/add", 7),
+      ],
+      "  Reads a DS18B20 sensor\n"
+    ),
+    "@/sensor": patch([node("xod/patch-nodes/output-self", 0), node("xod/patch-nodes/deprecated", 1)]),
+    "xod/core/add": patch([node("xod/patch-nodes/input-number", 0, { label: "X" })], "Embedded dependency"),
+  },
+};
+
+test("terminals map to pin directions and types", () => {
+  assert.deepEqual(parseTerminal("xod/patch-nodes/input-number", "acme/temp"), { direction: "input", type: "number" });
+  assert.deepEqual(parseTerminal("xod/patch-nodes/output-pulse", "acme/temp"), { direction: "output", type: "pulse" });
+  assert.deepEqual(parseTerminal("xod/i2c/input-i2c", "acme/temp"), { direction: "input", type: "xod/i2c/i2c" });
+  assert.deepEqual(parseTerminal("@/output-sensor", "acme/temp"), { direction: "output", type: "acme/temp/sensor" });
+  assert.equal(parseTerminal("xod/patch-nodes/output-self", "acme/temp"), null);
+  assert.equal(parseTerminal("xod/core/add", "acme/temp"), null);
+});
+
+test("local patches list their pins left to right with labels, descriptions and markers", () => {
+  assert.deepEqual(extractPatchNodes(XODBALL, "acme/temp"), [
+    {
+      path: "acme/temp/read-temperature",
+      description: "Reads a DS18B20 sensor",
+      inputs: [
+        { label: "PORT", type: "port", description: "" },
+        { label: "UPD", type: "pulse", description: "Triggers a new read" },
+        { label: "DEV", type: "acme/temp/sensor", description: "" },
+      ],
+      outputs: [
+        { label: "T", type: "number", description: "Temperature in °C" },
+        { label: "", type: "xod/i2c/i2c", description: "" },
+      ],
+      utility: true,
+    },
+    { path: "acme/temp/sensor", description: "", inputs: [], outputs: [], deprecated: true },
+  ]);
+});
+
+test("the catalog covers the mirrored latest version and skips libraries without one", async () => {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "xod2-nodes-"));
+  try {
+    await fs.writeFile(path.join(rootDir, "temp.xodball"), JSON.stringify(XODBALL));
+    const catalog = await buildNodeCatalog(
+      [
+        { id: "acme/temp", latest: "0.2.0" },
+        { id: "acme/old-only", latest: "2.0.0" },
+      ],
+      {
+        "acme/temp@v0.1.0": { path: "missing.xodball" },
+        "acme/temp@v0.2.0": { path: "temp.xodball" },
+        "acme/old-only@v1.0.0": { path: "temp.xodball" },
+      },
+      rootDir
+    );
+
+    assert.deepEqual(Object.keys(catalog.libraries), ["acme/temp"]);
+    assert.equal(catalog.libraries["acme/temp"].version, "0.2.0");
+    assert.deepEqual(
+      catalog.libraries["acme/temp"].nodes.map((item) => item.path),
+      ["acme/temp/read-temperature", "acme/temp/sensor"]
+    );
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
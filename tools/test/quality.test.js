@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { computeQuality, mergeQuality } = require("../lib/quality");
+const { diffIndexes } = require("../lib/index-diff");
+
+function patch(nodeTypes, extra = {}) {
+  return {
+    nodes: Object.fromEntries(nodeTypes.map((type, i) => [`n${i}`, { id: `n${i}`, type }])),
+    ...extra,
+  };
+}
+
+const LIB = { id: "alice/blinker", latest: "1.1.0", versions: ["1.1.0", "1.0.0"] };
+const CPP = [{ filename: "patch.cpp", encoding: "utf-8", content: "void evaluate(Context ctx) { emitValue<output_OUT>(ctx, 1); }" }];
+
+test("quality signals are computed from the mirrored xodball", () => {
+  const quality = computeQuality(LIB, {
+    description: "Blink LEDs",
+    patches: {
+      "@/blink": patch(["xod/patch-nodes/input-pulse", "xod/patch-nodes/not-implemented-in-xod"], {
+        description: "Blinks",
+        attachments: CPP,
+      }),
+      "@/fade": patch(["xod/patch-nodes/output-number", "xod/patch-nodes/not-implemented-in-xod"], { attachments: CPP }),
+      "@/example-blink": patch(["xod/patch-nodes/input-pulse", "@/blink"], { description: "Try it" }),
+      "@/blink-test": patch(["xod/patch-nodes/tabtest", "@/blink"], {
+        attachments: [{ filename: "patch.test.tsv", encoding: "utf-8", content: "IN\tOUT\n" }],
+      }),
+      "@/helper": patch(["xod/patch-nodes/utility"]),
+    },
+  });
+
+  assert.deepEqual(quality, {
+    hasExamples: true,
+    hasReadme: true,
+    hasTests: true,
+    nodeCount: 2,
+    documentedNodes: 1,
+    versionCount: 2,
+    hasDescriptions: false,
+    lintErrors: 0,
+    lintWarnings: 2,
+  });
+});
+
+test("patches without terminals count as examples and README.md attachments as a readme", () => {
+  const quality = computeQuality(LIB, {
+    patches: {
+      "@/main": patch(["xod/core/clock", "xod/core/flip-flop"], {
+        attachments: [{ filename: "README.md", encoding: "utf-8", content: "# Blinker" }],
+      }),
+    },
+  });
+
+  assert.equal(quality.hasExamples, true);
+  assert.equal(quality.hasReadme, true);
+  assert.equal(quality.hasTests, false);
+  assert.deepEqual(computeQuality(LIB, null), { versionCount: 2 });
+});
+
+test("overlay quality overrides computed values and is not listed as computed", () => {
+  assert.deepEqual(
+    mergeQuality({ hasExamples: false, maintainerVerified: true }, { hasExamples: true, versionCount: 2 }),
+    { hasExamples: false, versionCount: 2, maintainerVerified: true, computed: ["versionCount"] }
+  );
+});
+
+test("computed quality changes are not reported as overlay changes", () => {
+  const lib = (quality) => ({ id: "alice/blinker", versions: ["1.0.0"], latest: "1.0.0", quality });
+  const report = diffIndexes(
+    { libraries: [lib({ hasReadme: true, lintErrors: 0, computed: ["lintErrors"] })] },
+    { libraries: [lib({ hasReadme: true, lintErrors: 3, versionCount: 1, computed: ["lintErrors", "versionCount"] })] }
+  );
+  const curated = diffIndexes(
+    { libraries: [lib({ hasReadme: true, computed: ["hasReadme"] })] },
+    { libraries: [lib({ hasReadme: true, computed: [] })] }
+  );
+
+  assert.deepEqual(report.overlayChanged, []);
+  assert.deepEqual(curated.overlayChanged, [{ id: "alice/blinker", fields: ["quality"] }]);
+});
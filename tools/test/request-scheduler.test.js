@@ -0,0 +1,156 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+
+const {
+  parseRetryAfter,
+  backoffDelay,
+  mapWithConcurrency,
+  createRequestScheduler,
+} = require("../lib/request-scheduler");
+
+async function withServer(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+test("parseRetryAfter accepts seconds and HTTP dates", () => {
+  assert.equal(parseRetryAfter("2"), 2000);
+  assert.equal(parseRetryAfter(new Date(10_000).toUTCString(), 4_000), 6000);
+  assert.equal(parseRetryAfter("soon"), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test("backoffDelay grows exponentially with jitter and a cap", () => {
+  assert.equal(backoffDelay(1, 1000, 30_000, () => 0), 500);
+  assert.equal(backoffDelay(3, 1000, 30_000, () => 1), 4000);
+  assert.equal(backoffDelay(10, 1000, 30_000, () => 1), 30_000);
+});
+
+test("mapWithConcurrency keeps order and never exceeds the limit", async () => {
+  let active = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([5, 1, 4, 2, 3], 2, async (value) => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await new Promise((resolve) => setTimeout(resolve, value * 5));
+    active -= 1;
+    return value * 10;
+  });
+
+  assert.deepEqual(results, [50, 10, 40, 20, 30]);
+  assert.equal(peak, 2);
+});
+
+test("request honors Retry-After on 429 before retrying", async () => {
+  let calls = 0;
+  const retries = [];
+  await withServer((req, res) => {
+    calls += 1;
+    if (calls === 1) {
+      res.writeHead(429, { "retry-after": "0" });
+      res.end("slow down");
+      return;
+    }
+    res.end("ok");
+  }, async (baseUrl) => {
+    const scheduler = createRequestScheduler({
+      requestsPerSecond: 0,
+      baseDelayMs: 60_000,
+      onRetry: (info) => retries.push(info),
+    });
+    const response = await scheduler.request(`${baseUrl}/libs/`);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.text, "ok");
+  });
+
+  assert.equal(calls, 2);
+  assert.equal(retries.length, 1);
+  assert.equal(retries[0].delay, 0);
+  assert.equal(retries[0].reason, "HTTP 429");
+});
+
+test("request returns the last response once retries are exhausted", async () => {
+  let calls = 0;
+  await withServer((req, res) => {
+    calls += 1;
+    res.writeHead(503);
+    res.end();
+  }, async (baseUrl) => {
+    const scheduler = createRequestScheduler({ requestsPerSecond: 0, retries: 2, baseDelayMs: 1 });
+    const response = await scheduler.request(baseUrl);
+    assert.equal(response.status, 503);
+  });
+
+  assert.equal(calls, 3);
+});
+
+test("request does not retry non-retryable statuses", async () => {
+  let calls = 0;
+  await withServer((req, res) => {
+    calls += 1;
+    res.writeHead(404);
+    res.end();
+  }, async (baseUrl) => {
+    const scheduler = createRequestScheduler({ requestsPerSecond: 0 });
+    assert.equal((await scheduler.request(baseUrl)).status, 404);
+  });
+
+  assert.equal(calls, 1);
+});
+
+test("requests to one host are spaced by the requests-per-second limit", async () => {
+  const times = [];
+  await withServer((req, res) => {
+    res.end("ok");
+  }, async (baseUrl) => {
+    const scheduler = createRequestScheduler({
+      concurrency: 4,
+      requestsPerSecond: 20,
+      fetchImpl: (...args) => {
+        times.push(Date.now());
+        return fetch(...args);
+      },
+    });
+    await Promise.all([1, 2, 3].map((n) => scheduler.request(`${baseUrl}/${n}`)));
+  });
+
+  times.sort((a, b) => a - b);
+  assert.ok(times[2] - times[0] >= 90, `expected >= 90ms between first and third request, got ${times[2] - times[0]}ms`);
+});
+
+test("Retry-After holds back every request to that host until the deadline", async () => {
+  const calls = [];
+  let deadline = null;
+  const scheduler = createRequestScheduler({
+    concurrency: 4,
+    requestsPerSecond: 20,
+    fetchImpl: async (url) => {
+      calls.push({ url, at: Date.now() });
+      if (calls.length === 1) {
+        deadline = Date.now() + 200;
+        return new Response("slow down", { status: 429, headers: { "retry-after": "0.2" } });
+      }
+      return new Response("ok");
+    },
+  });
+
+  const responses = await Promise.all([
+    ...[1, 2, 3].map((n) => scheduler.request(`https://busy.test/${n}`)),
+    scheduler.request("https://other.test/"),
+  ]);
+
+  assert.deepEqual(responses.map((response) => response.status), [200, 200, 200, 200]);
+  const busy = calls.filter((call) => call.url.startsWith("https://busy.test/"));
+  assert.equal(busy.length, 4);
+  for (const call of busy.slice(1)) {
+    assert.ok(call.at >= deadline, `${call.url} went out ${deadline - call.at}ms before the Retry-After deadline`);
+  }
+  assert.ok(calls.find((call) => call.url === "https://other.test/").at < deadline);
+});
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { execFile } = require("child_process");
+const { promisify } = require("util");
+
+const { buildSearchIndex, loadSearchIndex, querySearchIndex } = require("../lib/search-index");
+
+function lib(id, fields = {}) {
+  return { id, latest: "1.0.0", summary: "", tags: [], interfaces: [], mcu: [], ...fields };
+}
+
+const SEARCH_INDEX = buildSearchIndex({
+  generatedAt: "2026-01-01T00:00:00.000Z",
+  libraries: [
+    lib("acme/oled", { summary: "Driver for SSD1306 displays", interfaces: ["i2c"], updatedAt: "2026-02-01T00:00:00.000Z" }),
+    lib("acme/lcd", { summary: "Character display driver", tags: ["display"], updatedAt: "2026-03-01T00:00:00.000Z" }),
+    lib("zed/display", { summary: "Another display" }),
+    lib("bob/display", { summary: "Copy of zed/display", duplicateOf: "zed/display" }),
+    lib("acme/displays", { summary: "Display helpers" }),
+    lib("beta/lcd", { tags: ["display"], updatedAt: "2026-03-01T00:00:00.000Z" }),
+  ],
+});
+
+const SEARCH_CLI = path.join(__dirname, "..", "search.js");
+
+function ids(results) {
+  return results.map((result) => result.doc.id);
+}
+
+test("relevance ranks by field weight, exact over prefix matches and originals over duplicates", () => {
+  assert.deepEqual(
+    querySearchIndex(SEARCH_INDEX, "display", {}, "relevance").map((result) => [result.doc.id, result.score]),
+    [
+      ["zed/display", 6],
+      ["acme/lcd", 4],
+      ["beta/lcd", 3],
+      ["bob/display", 3],
+      ["acme/displays", 2.5],
+      ["acme/oled", 0.5],
+    ]
+  );
+});
+
+test("relevance breaks equal scores by id", () => {
+  assert.deepEqual(
+    querySearchIndex(SEARCH_INDEX, "lcd", {}, "relevance").map((result) => [result.doc.id, result.score]),
+    [["acme/lcd", 5], ["beta/lcd", 5]]
+  );
+});
+
+test("every query word must match and results default to id order", () => {
+  assert.deepEqual(ids(querySearchIndex(SEARCH_INDEX, "display driver")), ["acme/lcd", "acme/oled"]);
+  assert.deepEqual(ids(querySearchIndex(SEARCH_INDEX, "display", { collapseDuplicates: true })), [
+    "acme/displays",
+    "acme/lcd",
+    "acme/oled",
+    "beta/lcd",
+    "zed/display",
+  ]);
+  assert.deepEqual(ids(querySearchIndex(SEARCH_INDEX, "display nothing")), []);
+});
+
+test("updatedAt sorts newest first, ties by id and missing dates last", () => {
+  assert.deepEqual(ids(querySearchIndex(SEARCH_INDEX, "", { tag: ["display"] }, "updatedAt")), ["acme/lcd", "beta/lcd"]);
+  assert.deepEqual(ids(querySearchIndex(SEARCH_INDEX, "", {}, "updatedAt")), [
+    "acme/lcd",
+    "beta/lcd",
+    "acme/oled",
+    "acme/displays",
+    "bob/display",
+    "zed/display",
+  ]);
+});
+
+test("the published search index loads and answers the same queries", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "xod2-search-"));
+  try {
+    const filePath = path.join(dir, "search-index.json");
+    await fs.writeFile(filePath, JSON.stringify(SEARCH_INDEX));
+    const loaded = await loadSearchIndex(filePath);
+    assert.deepEqual(querySearchIndex(loaded, "display", {}, "relevance"), querySearchIndex(SEARCH_INDEX, "display", {}, "relevance"));
+
+    await fs.writeFile(filePath, JSON.stringify({ docs: [] }));
+    await assert.rejects(loadSearchIndex(filePath), /Invalid search index file/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("the search CLI builds the index from index.json when there is no prebuilt search index", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "xod2-search-"));
+  try {
+    const indexPath = path.join(dir, "index.json");
+    await fs.writeFile(indexPath, JSON.stringify({
+      libraries: [
+        lib("acme/oled", { summary: "Driver for SSD1306 displays", interfaces: ["i2c"] }),
+        lib("acme/lcd", { summary: "Character display driver", tags: ["display"] }),
+      ],
+    }));
+
+    const { stdout } = await promisify(execFile)(process.execPath, [SEARCH_CLI, "driver", "--interface", "i2c", "--index", indexPath]);
+    assert.equal(stdout, "acme/oled@1.0.0  [i2c]\n  Driver for SSD1306 displays\n1 library found\n");
+
+    const committed = await promisify(execFile)(process.execPath, [SEARCH_CLI, "--limit", "1"]);
+    assert.match(committed.stdout, /\d+ librar(?:y|ies) found\n$/);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
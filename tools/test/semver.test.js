@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseVersion,
+  compareVersionsDesc,
+  toVersionKey,
+  fromVersionKey,
+  findInvalidVersions,
+  satisfies,
+  resolveSpecifier,
+  parseSpecifier,
+} = require("../lib/semver");
+const { findArtifact } = require("../lib/xodball");
+
+test("versions sort by SemVer precedence, newest first, invalid strings last", () => {
+  const versions = ["1.0.0-alpha.beta", "0.9.0", "1.0.0", "1.0", "1.0.0-rc.1", "1.0.0-alpha.1", "1.0.0-beta.11", "1.0.0-beta.2", "10.0.0", "1.0.0-alpha", "2.0.0+build.5"];
+
+  assert.deepEqual([...versions].sort(compareVersionsDesc), [
+    "10.0.0",
+    "2.0.0+build.5",
+    "1.0.0",
+    "1.0.0-rc.1",
+    "1.0.0-beta.11",
+    "1.0.0-beta.2",
+    "1.0.0-alpha.beta",
+    "1.0.0-alpha.1",
+    "1.0.0-alpha",
+    "0.9.0",
+    "1.0",
+  ]);
+  assert.deepEqual(findInvalidVersions(["1.2.3", "v1.2.3", "1.0", "01.2.3", "1.2.3-", "latest"]), ["1.0", "01.2.3", "1.2.3-", "latest"]);
+  assert.deepEqual(parseVersion("v1.2.3-rc.1+sha.5114f85"), {
+    major: 1,
+    minor: 2,
+    patch: 3,
+    prerelease: ["rc", 1],
+    build: ["sha", "5114f85"],
+    version: "1.2.3-rc.1",
+  });
+});
+
+test("mirror version keys convert to and from bare SemVer", () => {
+  assert.equal(toVersionKey("1.2.3"), "v1.2.3");
+  assert.equal(toVersionKey("v1.2.3"), "v1.2.3");
+  assert.equal(fromVersionKey("v1.2.3-rc.1+build.5"), "1.2.3-rc.1+build.5");
+  assert.equal(fromVersionKey("1.2.3"), "1.2.3");
+  assert.equal(fromVersionKey("vintage"), "vintage");
+  assert.equal(fromVersionKey("latest"), "latest");
+  assert.equal(fromVersionKey(""), null);
+});
+
+test("ranges follow npm semantics for caret, tilde, partial and comparator ranges", () => {
+  const cases = [
+    ["^1.2", ["1.2.0", "1.9.9"], ["1.1.9", "2.0.0", "2.0.0-beta"]],
+    ["^0.14", ["0.14.0", "0.14.7"], ["0.15.0", "0.13.9"]],
+    ["^0.0.3", ["0.0.3"], ["0.0.4"]],
+    ["~0.14", ["0.14.0", "0.14.9"], ["0.15.0"]],
+    ["~1.2.3", ["1.2.3", "1.2.9"], ["1.3.0", "1.2.2"]],
+    ["1.x", ["1.0.0", "1.9.0"], ["2.0.0"]],
+    ["*", ["0.0.1", "3.0.0"], ["3.0.0-beta"]],
+    [">=1.2 <1.4 || 2.0.0", ["1.2.0", "1.3.5", "2.0.0"], ["1.4.0", "2.0.1"]],
+    [">1.2", ["1.3.0"], ["1.2.9"]],
+    ["<=1.2", ["1.2.9"], ["1.3.0"]],
+    ["^1.2.3-beta.2", ["1.2.3-beta.3", "1.2.3", "1.5.0"], ["1.2.3-beta.1", "1.2.4-beta.9"]],
+    ["v1.2.3", ["1.2.3", "v1.2.3"], ["1.2.4"]],
+  ];
+
+  for (const [range, matching, other] of cases) {
+    matching.forEach((version) => assert.equal(satisfies(version, range), true, `${version} in ${range}`));
+    other.forEach((version) => assert.equal(satisfies(version, range), false, `${version} not in ${range}`));
+  }
+  assert.equal(satisfies("1.0", "*"), false);
+});
+
+test("specifiers resolve against the index", () => {
+  const indexData = {
+    libraries: [
+      { id: "xod/i2c", latest: "0.14.1", versions: ["0.15.0-beta", "0.14.1", "0.14.0", "0.13.2", "0.2"] },
+    ],
+  };
+
+  assert.deepEqual(resolveSpecifier(indexData, "xod/i2c"), { id: "xod/i2c", range: "latest", version: "0.14.1" });
+  assert.equal(resolveSpecifier(indexData, "xod/i2c@~0.13").version, "0.13.2");
+  assert.equal(resolveSpecifier(indexData, "xod/i2c@^0.15.0-0").version, "0.15.0-beta");
+  assert.equal(resolveSpecifier(indexData, "xod/i2c@^1").version, null);
+  assert.equal(resolveSpecifier(indexData, "acme/none@^1").version, null);
+  assert.throws(() => parseSpecifier("xod/i2c@^x.1"), /Invalid library specifier/);
+  assert.throws(() => parseSpecifier("i2c@1.0.0"), /Invalid library specifier/);
+});
+
+test("findArtifact falls back to the highest mirrored version by precedence", () => {
+  const artifacts = {
+    "xod/i2c@v0.9.0": { id: "xod/i2c", version: "v0.9.0" },
+    "xod/i2c@v0.10.0": { id: "xod/i2c", version: "v0.10.0" },
+  };
+
+  assert.equal(findArtifact(artifacts, "xod/i2c", "latest").version, "v0.10.0");
+});
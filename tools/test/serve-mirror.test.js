@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { loadRegistry, createMirrorServer } = require("../serve-mirror");
+const {
+  fetchSwaggerSpec,
+  resolveOperationPath,
+  buildPathFromTemplate,
+  buildBaseUrl,
+} = require("../lib/pm-api");
+
+function artifact(version) {
+  return {
+    id: "acme/display",
+    owner: "acme",
+    libname: "display",
+    version,
+    sourceProvider: "pm.xod.io",
+    sourceUrl: `https://pm.xod.io/orgs/acme/libs/display/versions/${version}/xodball`,
+    path: `mirror/libs/acme/display/${version}.xodball.json`,
+    sha256: "0".repeat(64),
+    bytes: 0,
+    mirroredAt: "2024-03-01T00:00:00.000Z",
+  };
+}
+
+async function withMirrorServer(fn) {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "serve-mirror-"));
+  await fs.mkdir(path.join(rootDir, "index"));
+  await fs.mkdir(path.join(rootDir, "mirror", "libs", "acme", "display"), { recursive: true });
+  await fs.writeFile(path.join(rootDir, "index", "index.json"), JSON.stringify({
+    libraries: [
+      { id: "acme/display", latest: "0.2.0", versions: ["0.2.0", "0.1.0"], summary: "LCD output", license: "MIT" },
+      { id: "acme/unmirrored", latest: "1.0.0", versions: ["1.0.0"], summary: "", license: null },
+    ],
+  }));
+  await fs.writeFile(path.join(rootDir, "mirror", "state.json"), JSON.stringify({
+    artifacts: {
+      "acme/display@v0.1.0": artifact("v0.1.0"),
+      "acme/display@v0.2.0": artifact("v0.2.0"),
+    },
+  }));
+  for (const version of ["v0.1.0", "v0.2.0"]) {
+    await fs.writeFile(
+      path.join(rootDir, "mirror", "libs", "acme", "display", `${version}.xodball.json`),
+      `${JSON.stringify({ name: "display", version })}\n`
+    );
+  }
+
+  const server = createMirrorServer(await loadRegistry(rootDir), rootDir);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  try {
+    return await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.json();
+}
+
+test("the mirror is usable through its swagger document like pm.xod.io", async () => {
+  await withMirrorServer(async (baseUrl) => {
+    const swaggerUrl = `${baseUrl}/swagger/`;
+    const spec = await fetchSwaggerSpec(swaggerUrl, fetchJson);
+    const { pathTemplate } = resolveOperationPath(spec, "getLibVersionXodball");
+    const xodballUrl = (version) => `${buildBaseUrl(swaggerUrl)}${buildPathFromTemplate(pathTemplate, {
+      orgname: "acme",
+      libname: "display",
+      semver_or_latest: version,
+    })}`;
+
+    assert.deepEqual(await fetchJson(xodballUrl("v0.1.0")), { name: "display", version: "v0.1.0" });
+    assert.deepEqual(await fetchJson(xodballUrl("0.1.0")), { name: "display", version: "v0.1.0" });
+    assert.deepEqual(await fetchJson(xodballUrl("latest")), { name: "display", version: "v0.2.0" });
+    assert.equal((await fetch(xodballUrl("v9.9.9"))).status, 404);
+  });
+});
+
+test("library and version listings only advertise mirrored content", async () => {
+  await withMirrorServer(async (baseUrl) => {
+    assert.deepEqual(await fetchJson(`${baseUrl}/libs`), [{ owner: "acme", libname: "display" }]);
+    assert.deepEqual(await fetchJson(`${baseUrl}/orgs/acme/libs/display`), {
+      owner: "acme",
+      libname: "display",
+      description: "LCD output",
+      license: "MIT",
+    });
+    assert.deepEqual(await fetchJson(`${baseUrl}/orgs/acme/libs/display/versions`), [
+      { semver: "0.2.0" },
+      { semver: "0.1.0" },
+    ]);
+    assert.equal((await fetch(`${baseUrl}/orgs/acme/libs/unmirrored`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/orgs/acme/libs/unmirrored/versions/latest/xodball`)).status, 404);
+    assert.equal((await fetch(`${baseUrl}/libs`, { method: "POST" })).status, 405);
+  });
+});
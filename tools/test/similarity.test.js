@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fingerprintXodball, findSimilarLibraries } = require("../lib/similarity");
+const { buildSearchIndex, querySearchIndex } = require("../lib/search-index");
+
+function patch(nodeTypes, cpp) {
+  return {
+    nodes: Object.fromEntries(nodeTypes.map((type, i) => [`n${i}`, { id: `n${i}`, type }])),
+    ...(cpp ? { attachments: [{ filename: "patch.cpp", encoding: "utf-8", content: cpp }] } : {}),
+  };
+}
+
+function xodball(patches) {
+  return { patches: Object.fromEntries(Object.entries(patches).map(([name, value]) => [`@/${name}`, value])) };
+}
+
+const ORIGINAL = xodball({
+  main: patch(["xod/core/clock", "@/blink"]),
+  blink: patch(["xod/patch-nodes/input-pulse", "xod/patch-nodes/not-implemented-in-xod"], "void evaluate() {}"),
+  led: patch(["xod/core/digital-write"]),
+  button: patch(["xod/core/digital-read"]),
+});
+
+test("a renamed copy is a duplicate of the earlier library", () => {
+  const copy = xodball({
+    main: patch(["xod/core/clock", "bob/copied/blink"]),
+    blink: ORIGINAL.patches["@/blink"],
+    led: ORIGINAL.patches["@/led"],
+    button: ORIGINAL.patches["@/button"],
+  });
+  const fingerprints = {
+    "alice/blinker": fingerprintXodball(ORIGINAL, "alice/blinker"),
+    "bob/copied": fingerprintXodball(copy, "bob/copied"),
+  };
+
+  const result = findSimilarLibraries(fingerprints, [
+    { id: "alice/blinker", updatedAt: "2020-01-01" },
+    { id: "bob/copied", updatedAt: "2021-06-01" },
+  ]);
+
+  assert.deepEqual(result["bob/copied"], { duplicateOf: "alice/blinker", similarTo: [] });
+  assert.deepEqual(result["alice/blinker"], { duplicateOf: null, similarTo: [] });
+});
+
+test("forks with small changes and shared patch.cpp code are listed as similar", () => {
+  const fork = xodball({
+    main: ORIGINAL.patches["@/main"],
+    blink: patch(["xod/patch-nodes/input-pulse", "xod/patch-nodes/not-implemented-in-xod", "xod/core/gate"], "void evaluate() {}"),
+    led: ORIGINAL.patches["@/led"],
+    button: ORIGINAL.patches["@/button"],
+  });
+  const unrelated = xodball({ main: patch(["xod/core/servo"]), empty: { nodes: {} } });
+  const fingerprints = {
+    "alice/blinker": fingerprintXodball(ORIGINAL, "alice/blinker"),
+    "carol/blinker-plus": fingerprintXodball(fork, "carol/blinker-plus"),
+    "dave/servo": fingerprintXodball(unrelated, "dave/servo"),
+  };
+
+  const result = findSimilarLibraries(fingerprints, []);
+
+  assert.deepEqual(result["carol/blinker-plus"].similarTo, [{ id: "alice/blinker", score: 0.67 }]);
+  assert.equal(result["carol/blinker-plus"].duplicateOf, null);
+  assert.deepEqual(result["dave/servo"], { duplicateOf: null, similarTo: [] });
+  assert.equal(fingerprints["dave/servo"].patchCount, 1);
+});
+
+test("search ranks duplicates below originals and can hide them", () => {
+  const lib = (id, duplicateOf = null) => ({ id, latest: "1.0.0", summary: "Blink an LED", duplicateOf });
+  const searchIndex = buildSearchIndex({
+    libraries: [lib("aaa/welcome-to-xod", "zed/welcome-to-xod"), lib("zed/welcome-to-xod")],
+  });
+
+  assert.deepEqual(
+    querySearchIndex(searchIndex, "welcome", {}, "relevance").map((result) => result.doc.id),
+    ["zed/welcome-to-xod", "aaa/welcome-to-xod"]
+  );
+  assert.deepEqual(
+    querySearchIndex(searchIndex, "welcome", { collapseDuplicates: true }).map((result) => result.doc.id),
+    ["zed/welcome-to-xod"]
+  );
+});
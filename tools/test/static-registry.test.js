@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { planStaticRegistry } = require("../lib/static-registry");
+const { sha256, serializeXodball } = require("../lib/mirror-verify");
+const { run } = require("../build-registry");
+
+function artifact(id, version, content = serializeXodball({ id, version })) {
+  const [owner, libname] = id.split("/");
+  return {
+    id,
+    owner,
+    libname,
+    version,
+    sourceProvider: "pm.xod.io",
+    sourceUrl: `https://pm.xod.io/orgs/${owner}/libs/${libname}/versions/${version}/xodball`,
+    path: `mirror/libs/${id}/${version}.xodball.json`,
+    sha256: sha256(content),
+    bytes: Buffer.byteLength(content, "utf8"),
+    mirroredAt: "2024-03-01T00:00:00.000Z",
+  };
+}
+
+const INDEX = {
+  libraries: [{ id: "acme/display", latest: "0.2.0", versions: ["0.2.0", "0.1.0"] }],
+};
+const MIRROR_INDEX = {
+  generatedAt: "2024-03-01T00:00:00.000Z",
+  sourceIndexGeneratedAt: null,
+  artifacts: [
+    artifact("acme/display", "v0.1.0"),
+    artifact("acme/display", "v0.2.0"),
+    artifact("acme/old", "v1.0.0"),
+  ],
+};
+
+async function createRoot(mirrorIndex = MIRROR_INDEX) {
+  const rootDir = await fs.mkdtemp(path.join(os.tmpdir(), "static-registry-"));
+  await fs.mkdir(path.join(rootDir, "index"));
+  await fs.mkdir(path.join(rootDir, "mirror"));
+  await fs.writeFile(path.join(rootDir, "index", "index.json"), JSON.stringify(INDEX));
+  await fs.writeFile(path.join(rootDir, "mirror", "index.json"), JSON.stringify(mirrorIndex));
+  for (const item of mirrorIndex.artifacts) {
+    await fs.mkdir(path.dirname(path.join(rootDir, item.path)), { recursive: true });
+    await fs.writeFile(path.join(rootDir, item.path), serializeXodball({ id: item.id, version: item.version }));
+  }
+  return rootDir;
+}
+
+test("planStaticRegistry lays files out along the pm.xod.io xodball route", () => {
+  const { manifest, files } = planStaticRegistry(INDEX, MIRROR_INDEX);
+  const paths = files.map((file) => file.path).sort();
+
+  assert.deepEqual(paths, [
+    "manifest.json",
+    "orgs/acme/libs/display/latest.json",
+    "orgs/acme/libs/display/versions.json",
+    "orgs/acme/libs/display/versions/0.1.0/xodball",
+    "orgs/acme/libs/display/versions/0.2.0/xodball",
+    "orgs/acme/libs/display/versions/latest/xodball",
+    "orgs/acme/libs/old/latest.json",
+    "orgs/acme/libs/old/versions.json",
+    "orgs/acme/libs/old/versions/1.0.0/xodball",
+    "orgs/acme/libs/old/versions/latest/xodball",
+    "swagger/swagger.json",
+  ]);
+  assert.equal(files.find((file) => file.path.endsWith("display/versions/latest/xodball")).source.version, "v0.2.0");
+  assert.deepEqual(manifest.libraries.map((lib) => [lib.id, lib.latest]), [["acme/display", "0.2.0"], ["acme/old", "1.0.0"]]);
+  const swagger = JSON.parse(files.find((file) => file.path === "swagger/swagger.json").content);
+  assert.deepEqual(Object.keys(swagger.paths), ["/orgs/{orgname}/libs/{libname}/versions/{semver_or_latest}/xodball"]);
+});
+
+test("build-registry writes the tree, removes stale files and checks hashes", async () => {
+  const rootDir = await createRoot();
+  const outDir = path.join(rootDir, "out");
+  try {
+    await run({ rootDir, outDir });
+    const latest = await fs.readFile(path.join(outDir, "orgs/acme/libs/display/versions/latest/xodball"), "utf8");
+    assert.deepEqual(JSON.parse(latest), { id: "acme/display", version: "v0.2.0" });
+    assert.deepEqual(JSON.parse(await fs.readFile(path.join(outDir, "orgs/acme/libs/display/latest.json"), "utf8")), {
+      semver: "0.2.0",
+      xodball: "versions/0.2.0/xodball",
+      sha256: MIRROR_INDEX.artifacts[1].sha256,
+    });
+
+    await fs.writeFile(
+      path.join(rootDir, "mirror", "index.json"),
+      JSON.stringify({ ...MIRROR_INDEX, artifacts: MIRROR_INDEX.artifacts.slice(0, 2) })
+    );
+    await run({ rootDir, outDir });
+    await assert.rejects(fs.access(path.join(outDir, "orgs/acme/libs/old")), { code: "ENOENT" });
+
+    await fs.writeFile(path.join(rootDir, MIRROR_INDEX.artifacts[0].path), "{");
+    await assert.rejects(run({ rootDir, outDir }), /does not match its recorded sha256/);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
+
+test("build-registry refuses to write into an unrelated non-empty directory", async () => {
+  const rootDir = await createRoot();
+  try {
+    await fs.writeFile(path.join(rootDir, "mirror", "notes.txt"), "keep me");
+    await assert.rejects(run({ rootDir, outDir: path.join(rootDir, "mirror") }), /refusing to overwrite/);
+  } finally {
+    await fs.rm(rootDir, { recursive: true, force: true });
+  }
+});
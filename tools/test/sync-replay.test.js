@@ -0,0 +1,381 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+
+const { run, normalizeLibraryRecord } = require("../sync-xodio");
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+const OUTPUT_FILES = [
+  "index.json",
+  "removed.json",
+  "graph.json",
+  "nodes.json",
+  "search-index.json",
+  "sync-state.json",
+];
+const FIXED_GENERATED_AT = "1970-01-01T00:00:00.000Z";
+
+function replayOptions(indexDir) {
+  return {
+    fixtureMode: "replay",
+    fixturesDir: path.join(FIXTURES_DIR, "xodio"),
+    indexDir,
+    overlayPath: path.join(FIXTURES_DIR, "repo", "index", "overlay.json"),
+    boardListPath: path.join(FIXTURES_DIR, "repo", "index", "board-list.json"),
+    mirrorRoot: path.join(FIXTURES_DIR, "repo"),
+  };
+}
+
+function maskGeneratedAt(text) {
+  return text.replace(/"((?:sourceIndex)?[gG]eneratedAt)":( ?)"[^"]*"/g, `"$1":$2"${FIXED_GENERATED_AT}"`);
+}
+
+async function replayInto(dir, extraOptions = {}) {
+  const log = console.log;
+  const warn = console.warn;
+  const messages = [];
+  const warnings = [];
+  console.log = (message) => messages.push(message);
+  console.warn = (message) => warnings.push(message);
+  try {
+    await run({ ...replayOptions(dir), ...extraOptions });
+  } finally {
+    console.log = log;
+    console.warn = warn;
+  }
+
+  const outputs = { messages, warnings };
+  for (const file of OUTPUT_FILES) {
+    outputs[file] = await fs.readFile(path.join(dir, file), "utf8");
+  }
+  return outputs;
+}
+
+async function withTempDirs(fn) {
+  const dirs = [];
+  const tempDir = async () => {
+    dirs.push(await fs.mkdtemp(path.join(os.tmpdir(), "xod2-sync-")));
+    return dirs[dirs.length - 1];
+  };
+  try {
+    return await fn(tempDir);
+  } finally {
+    await Promise.all(dirs.map((dir) => fs.rm(dir, { recursive: true, force: true })));
+  }
+}
+
+test("replayed sync matches the recorded expected output", () => withTempDirs(async (tempDir) => {
+  const outputs = await replayInto(await tempDir());
+
+  for (const file of OUTPUT_FILES) {
+    const expectedPath = path.join(FIXTURES_DIR, "expected", file);
+    if (process.env.UPDATE_FIXTURES) {
+      await fs.mkdir(path.dirname(expectedPath), { recursive: true });
+      await fs.writeFile(expectedPath, maskGeneratedAt(outputs[file]), "utf8");
+    }
+    assert.equal(maskGeneratedAt(outputs[file]), await fs.readFile(expectedPath, "utf8"), file);
+  }
+}));
+
+test("two replays are byte-identical apart from generatedAt", () => withTempDirs(async (tempDir) => {
+  const first = await replayInto(await tempDir());
+  const second = await replayInto(await tempDir());
+
+  for (const file of OUTPUT_FILES) {
+    assert.equal(maskGeneratedAt(first[file]), maskGeneratedAt(second[file]), file);
+  }
+}));
+
+test("replay keeps API-derived fields, overlay and mirror enrichment", () => withTempDirs(async (tempDir) => {
+  const outputs = await replayInto(await tempDir());
+  const index = JSON.parse(outputs["index.json"]);
+  const byId = Object.fromEntries(index.libraries.map((lib) => [lib.id, lib]));
+
+  assert.deepEqual(Object.keys(byId), ["acme/display", "acme/sensors", "xod/i2c"]);
+  assert.deepEqual(byId["acme/display"].versions, ["0.2.0", "0.2.0-beta.1", "0.1.0"]);
+  assert.equal(byId["acme/display"].license, "MIT");
+  assert.equal(byId["acme/display"].supportStatus, "stable");
+  assert.equal(byId["acme/sensors"].updatedAt, "2024-02-01");
+  assert.deepEqual(byId["acme/sensors"].inferredFacets, { interfaces: ["i2c"], mcu: ["esp32"] });
+  assert.deepEqual(byId["xod/i2c"].dependents, ["acme/sensors"]);
+  assert.deepEqual(byId["acme/sensors"].missingDependencies, ["missing/lib", "xod/core"]);
+  assert.equal(byId["acme/display"].fieldSources.versions, "pm.xod.io");
+  assert.equal(byId["xod/i2c"].fieldSources.versions, "xod.io");
+}));
+
+test("sync falls back to HTML scraping when the pm.xod.io API is unavailable", () => withTempDirs(async (tempDir) => {
+  const fixturesDir = await tempDir();
+  const sourceDir = path.join(FIXTURES_DIR, "xodio");
+  const manifest = JSON.parse(await fs.readFile(path.join(sourceDir, "manifest.json"), "utf8"));
+  const htmlOnly = Object.fromEntries(
+    Object.entries(manifest).filter(([url]) => !url.startsWith("https://pm.xod.io/"))
+  );
+  for (const entry of Object.values(htmlOnly)) {
+    if (entry.file) await fs.copyFile(path.join(sourceDir, entry.file), path.join(fixturesDir, entry.file));
+  }
+  await fs.writeFile(path.join(fixturesDir, "manifest.json"), JSON.stringify(htmlOnly), "utf8");
+
+  const outputs = await replayInto(await tempDir(), { fixturesDir });
+  const index = JSON.parse(outputs["index.json"]);
+
+  assert.ok(outputs.messages.includes("Metadata source: xod.io HTML pages"));
+  assert.deepEqual(index.libraries.map((lib) => lib.id), ["acme/display", "acme/sensors", "xod/i2c"]);
+  for (const lib of index.libraries) {
+    assert.deepEqual(new Set(Object.values(lib.fieldSources)), new Set(["xod.io"]), lib.id);
+  }
+}));
+
+test("overlay values are reported as the source of the fields they override", () => {
+  const record = normalizeLibraryRecord(
+    {
+      id: "acme/display",
+      latest: "0.2.0",
+      versions: ["0.2.0"],
+      summary: "From the API",
+      license: null,
+      fieldSources: { latest: "pm.xod.io", versions: "pm.xod.io", summary: "pm.xod.io", license: "pm.xod.io" }
+    },
+    { summary: "From the overlay", license: "MIT" }
+  );
+
+  assert.equal(record.summary, "From the overlay");
+  assert.deepEqual(record.fieldSources, {
+    latest: "pm.xod.io",
+    versions: "pm.xod.io",
+    summary: "overlay",
+    license: "overlay"
+  });
+});
+
+test("sync skips overlay entries that do not match overlay.schema.json and keeps going", () => withTempDirs(async (tempDir) => {
+  const dir = await tempDir();
+  const overlayPath = path.join(dir, "overlay.json");
+  await fs.writeFile(overlayPath, JSON.stringify({
+    "acme/display": { supportStatus: "beta", tags: "lcd" },
+    "acme/sensors": { tags: ["curated"] }
+  }), "utf8");
+
+  const outputs = await replayInto(dir, { overlayPath });
+  const libraries = JSON.parse(outputs["index.json"]).libraries;
+
+  assert.ok(outputs.warnings.some((warning) =>
+    /^Skipped overlay entry \$\["acme\/display"\]: .*\/tags must be array/.test(warning)
+  ));
+  assert.equal(libraries.find((library) => library.id === "acme/display").supportStatus, undefined);
+  assert.deepEqual(libraries.find((library) => library.id === "acme/sensors").tags, ["curated"]);
+
+  await fs.writeFile(overlayPath, JSON.stringify("not an overlay"), "utf8");
+  await assert.rejects(replayInto(dir, { overlayPath }), /Overlay .*overlay\.json must be a map keyed by library id/);
+}));
+
+test("a second sync reuses unchanged detail pages unless --full is given", () => withTempDirs(async (tempDir) => {
+  const dir = await tempDir();
+  const first = await replayInto(dir);
+  const second = await replayInto(dir);
+  const full = await replayInto(dir, { full: true });
+
+  assert.ok(first.messages.includes("Detail pages: refetched=3, reused=0 (notModified=0, unchangedContent=0)"));
+  assert.ok(second.messages.includes("Detail pages: refetched=0, reused=3 (notModified=2, unchangedContent=1)"));
+  assert.ok(full.messages.includes("Detail pages: refetched=3, reused=0 (notModified=0, unchangedContent=0)"));
+  assert.equal(maskGeneratedAt(second["index.json"]), maskGeneratedAt(first["index.json"]));
+  assert.equal(second["sync-state.json"], first["sync-state.json"]);
+}));
+
+test("API requests send the stored validators and a partial 304 refetches the unchanged response", () => withTempDirs(async (tempDir) => {
+  const dir = await tempDir();
+  const fixturesDir = await tempDir();
+  const sourceDir = path.join(FIXTURES_DIR, "xodio");
+  const manifest = JSON.parse(await fs.readFile(path.join(sourceDir, "manifest.json"), "utf8"));
+  for (const entry of Object.values(manifest)) {
+    if (entry.file) await fs.copyFile(path.join(sourceDir, entry.file), path.join(fixturesDir, entry.file));
+  }
+  const versionsUrl = "https://pm.xod.io/orgs/acme/libs/display/versions";
+  manifest[versionsUrl] = { ...manifest[versionsUrl], etag: '"display-versions-3"' };
+  await fs.writeFile(path.join(fixturesDir, "manifest.json"), JSON.stringify(manifest), "utf8");
+
+  const first = await replayInto(dir);
+  assert.deepEqual(JSON.parse(first["sync-state.json"]).libraries["acme/display"].validators, {
+    getLib: { etag: '"display-0.2.0"', lastModified: null },
+    getLibVersions: { etag: '"display-versions-2"', lastModified: null },
+  });
+
+  const second = await replayInto(dir, { fixturesDir });
+  assert.ok(second.messages.includes("Detail pages: refetched=0, reused=3 (notModified=1, unchangedContent=2)"));
+  assert.equal(
+    JSON.parse(second["sync-state.json"]).libraries["acme/display"].validators.getLibVersions.etag,
+    '"display-versions-3"'
+  );
+  assert.equal(maskGeneratedAt(second["index.json"]), maskGeneratedAt(first["index.json"]));
+}));
+
+function previousLib(id, latest) {
+  return { id, latest, versions: [latest] };
+}
+
+async function writePreviousIndex(dir, libraries) {
+  await fs.writeFile(path.join(dir, "index.json"), JSON.stringify({
+    schemaVersion: 1,
+    generatedAt: "2024-03-01T00:00:00.000Z",
+    libraries,
+  }), "utf8");
+}
+
+test("libraries that 404 upstream get tombstones, fetch errors do not", () => withTempDirs(async (tempDir) => {
+  const dir = await tempDir();
+  await writePreviousIndex(dir, [
+    previousLib("acme/display", "0.1.0"),
+    previousLib("acme/flaky", "1.0.0"),
+    previousLib("acme/gone", "0.3.0"),
+  ]);
+  await fs.writeFile(path.join(dir, "removed.json"), JSON.stringify({
+    schemaVersion: 1,
+    generatedAt: "2024-02-01T00:00:00.000Z",
+    libraries: [
+      {
+        id: "acme/display",
+        removedAt: "2024-02-01T00:00:00.000Z",
+        lastSeenAt: null,
+        latest: "0.1.0",
+        versions: ["0.1.0"],
+      },
+    ],
+  }), "utf8");
+
+  const outputs = await replayInto(dir, { allowShrink: true });
+  const removed = JSON.parse(outputs["removed.json"]);
+  const index = JSON.parse(outputs["index.json"]);
+
+  assert.deepEqual(removed.libraries.map((entry) => entry.id), ["acme/gone"]);
+  assert.equal(removed.libraries[0].lastSeenAt, "2024-03-01T00:00:00.000Z");
+  assert.deepEqual(removed.libraries[0].versions, ["0.3.0"]);
+  assert.ok(index.libraries.some((lib) => lib.id === "acme/display"));
+  assert.ok(outputs.messages.includes("Restored after removal: acme/display"));
+  assert.deepEqual(index.libraries.find((lib) => lib.id === "acme/flaky").versions, ["1.0.0"]);
+
+  const secondRemoved = JSON.parse((await replayInto(dir))["removed.json"]);
+  assert.deepEqual(secondRemoved.libraries, removed.libraries);
+}));
+
+test("a shrinking index is quarantined instead of written", () => withTempDirs(async (tempDir) => {
+  const dir = await tempDir();
+  const previous = [
+    previousLib("acme/display", "0.2.0"),
+    previousLib("acme/gone", "0.3.0"),
+    previousLib("acme/sensors", "1.2.0"),
+    previousLib("xod/i2c", "0.37.3"),
+  ];
+  await writePreviousIndex(dir, previous);
+  const before = await fs.readFile(path.join(dir, "index.json"), "utf8");
+
+  await assert.rejects(replayInto(dir), /25% of libraries \(1\/4\).*above the 10% limit/);
+  assert.equal(await fs.readFile(path.join(dir, "index.json"), "utf8"), before);
+  const quarantined = JSON.parse(await fs.readFile(path.join(dir, "index.quarantine.json"), "utf8"));
+  assert.deepEqual(quarantined.libraries.map((lib) => lib.id), ["acme/display", "acme/sensors", "xod/i2c"]);
+
+  await replayInto(dir, { maxShrinkPercent: 25 });
+  assert.notEqual(await fs.readFile(path.join(dir, "index.json"), "utf8"), before);
+}));
+
+test("vanished versions also count towards the shrinkage limit", () => withTempDirs(async (tempDir) => {
+  const dir = await tempDir();
+  await writePreviousIndex(dir, [
+    { id: "acme/display", latest: "0.3.0", versions: ["0.3.0", "0.2.0", "0.1.0"] },
+  ]);
+
+  await assert.rejects(replayInto(dir), /33.3% of versions \(1\/3\)/);
+  await replayInto(dir, { allowShrink: true });
+}));
+
+test("XOD_SYNC_MAX_SHRINK_PERCENT=0 allows no shrinkage and negative limits are rejected", () => withTempDirs(async (tempDir) => {
+  const dir = await tempDir();
+  await writePreviousIndex(dir, [
+    { id: "acme/display", latest: "0.3.0", versions: ["0.3.0", "0.2.0", "0.1.0"] },
+  ]);
+  const previous = process.env.XOD_SYNC_MAX_SHRINK_PERCENT;
+  try {
+    process.env.XOD_SYNC_MAX_SHRINK_PERCENT = "0";
+    await assert.rejects(replayInto(dir), /above the 0% limit/);
+
+    process.env.XOD_SYNC_MAX_SHRINK_PERCENT = "-5";
+    await assert.rejects(replayInto(dir), /XOD_SYNC_MAX_SHRINK_PERCENT must not be negative, got "-5"/);
+
+    process.env.XOD_SYNC_MAX_SHRINK_PERCENT = "50";
+    await replayInto(dir);
+  } finally {
+    if (previous === undefined) delete process.env.XOD_SYNC_MAX_SHRINK_PERCENT;
+    else process.env.XOD_SYNC_MAX_SHRINK_PERCENT = previous;
+  }
+}));
+
+// Answers like the live sites from the replay fixtures and keeps every
+// request's headers.
+function stubFetch(sourceDir, manifest, requests) {
+  return async (url, init = {}) => {
+    const headers = Object.fromEntries(new Headers(init.headers).entries());
+    requests.push({ url: String(url), headers });
+    const entry = manifest[url];
+    if (!entry || !entry.file) return new Response(null, { status: entry ? entry.status : 404 });
+
+    return new Response(await fs.readFile(path.join(sourceDir, entry.file), "utf8"), {
+      status: entry.status,
+      headers: {
+        "content-type": entry.file.endsWith(".json") ? "application/json" : "text/html",
+        ...(entry.etag ? { etag: entry.etag } : {}),
+        ...(entry.lastModified ? { "last-modified": entry.lastModified } : {}),
+      },
+    });
+  };
+}
+
+test("record mode stores every response with its validators and replays to the same index", () => withTempDirs(async (tempDir) => {
+  const sourceDir = path.join(FIXTURES_DIR, "xodio");
+  const manifest = JSON.parse(await fs.readFile(path.join(sourceDir, "manifest.json"), "utf8"));
+  const fixturesDir = await tempDir();
+  const dir = await tempDir();
+  await fs.copyFile(
+    path.join(FIXTURES_DIR, "expected", "sync-state.json"),
+    path.join(dir, "sync-state.json")
+  );
+  const requests = [];
+  const realFetch = globalThis.fetch;
+  globalThis.fetch = stubFetch(sourceDir, manifest, requests);
+  try {
+    await replayInto(dir, { fixtureMode: "record", fixturesDir });
+  } finally {
+    globalThis.fetch = realFetch;
+  }
+
+  assert.ok(requests.length > 0);
+  for (const request of requests) {
+    assert.equal(request.headers["if-none-match"], undefined, request.url);
+    assert.equal(request.headers["if-modified-since"], undefined, request.url);
+  }
+  const recorded = JSON.parse(await fs.readFile(path.join(fixturesDir, "manifest.json"), "utf8"));
+  assert.deepEqual(Object.keys(recorded), [...new Set(requests.map((request) => request.url))].sort((a, b) => a.localeCompare(b)));
+  for (const [url, entry] of Object.entries(recorded)) {
+    assert.deepEqual(entry, manifest[url], url);
+    if (entry.file) {
+      assert.equal(
+        await fs.readFile(path.join(fixturesDir, entry.file), "utf8"),
+        await fs.readFile(path.join(sourceDir, entry.file), "utf8"),
+        url
+      );
+    }
+  }
+
+  const recordedRun = await fs.readFile(path.join(dir, "index.json"), "utf8");
+  const replayed = await replayInto(await tempDir(), { fixturesDir });
+  assert.equal(maskGeneratedAt(replayed["index.json"]), maskGeneratedAt(recordedRun));
+}));
+
+test("replay fails on a page that was never recorded", () => withTempDirs(async (tempDir) => {
+  const fixturesDir = await tempDir();
+  await fs.writeFile(path.join(fixturesDir, "manifest.json"), "{}\n", "utf8");
+
+  await assert.rejects(
+    run({ ...replayOptions(await tempDir()), fixturesDir }),
+    /No recorded fixture for https:\/\/xod\.io\/libs\//
+  );
+}));
@@ -0,0 +1,95 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateOverlay } = require("../validate-overlay");
+
+const INDEX = { libraries: [{ id: "acme/display" }, { id: "acme/sensors" }] };
+const REMOVED = { libraries: [{ id: "acme/gone", removedAt: "2026-01-01T00:00:00.000Z" }] };
+const BOARD_LIST = {
+  boards: {
+    esp32dev: { name: "ESP32 DevKit", mcu: "esp32", aliases: ["esp32-devkit"] },
+    uno: { name: "Arduino Uno", mcu: "avr", aliases: [] },
+  },
+};
+
+function summarize(problems) {
+  return problems.map((problem) => `${problem.severity} ${problem.path}: ${problem.message}`);
+}
+
+test("a well-formed overlay has no problems", () => {
+  const problems = validateOverlay(
+    {
+      "acme/display": {
+        tags: ["lcd"],
+        supportStatus: "stable",
+        boardCompatibility: { uno: { status: "working", notes: "16x2" } },
+        compatibilitySummary: { workingBoards: ["uno"] },
+        quality: { maintainerVerified: true, nodeCount: 3 },
+      },
+    },
+    INDEX,
+    BOARD_LIST,
+    REMOVED
+  );
+
+  assert.deepEqual(problems, []);
+});
+
+test("schema violations, unknown libraries and unknown boards are errors", () => {
+  const problems = validateOverlay(
+    {
+      "acme/display": {
+        tags: "lcd",
+        supportStatus: "beta",
+        boardCompatibility: {
+          uno: { status: "works" },
+          teensy40: { status: "working" },
+          esp32dev: { status: "working" },
+          "ESP32-DevKit": { status: "broken" },
+        },
+        quality: { nodeCount: -1 },
+      },
+      "acme/missing": {},
+      "not an id": {},
+    },
+    INDEX,
+    BOARD_LIST,
+    REMOVED
+  );
+
+  assert.deepEqual(summarize(problems.filter((problem) => problem.severity === "error")), [
+    "error $[\"acme/display\"].tags: must be array",
+    "error $[\"acme/display\"].boardCompatibility.uno.status: must be equal to one of the allowed values: working, broken, untested",
+    "error $[\"acme/display\"].supportStatus: must be equal to one of the allowed values: stable, experimental, deprecated",
+    "error $[\"acme/display\"].quality.nodeCount: must be >= 0",
+    "error $[\"acme/display\"].boardCompatibility.teensy40: unknown board \"teensy40\", add it to index/board-list.json or use a listed id",
+    "error $[\"acme/display\"].boardCompatibility[\"ESP32-DevKit\"]: board \"ESP32-DevKit\" is the same board as \"esp32dev\"",
+    "error $[\"acme/missing\"]: library \"acme/missing\" is not in index/index.json and the entry would be dropped",
+    "error $[\"not an id\"]: key \"not an id\" is not a valid owner/lib id and would be ignored",
+  ]);
+});
+
+test("aliases, unknown fields, tombstoned libraries and non-canonical keys are warnings", () => {
+  const problems = validateOverlay(
+    {
+      "ACME/Sensors": { notes: "todo", compatibilitySummary: { brokenBoards: ["esp32-devkit"] } },
+      "acme/gone": { tags: ["old"] },
+    },
+    INDEX,
+    BOARD_LIST,
+    REMOVED
+  );
+
+  assert.deepEqual(summarize(problems), [
+    "warning $[\"ACME/Sensors\"]: key \"ACME/Sensors\" is normalized to \"acme/sensors\"",
+    "warning $[\"ACME/Sensors\"].compatibilitySummary.brokenBoards[0]: board \"esp32-devkit\" is an alias, use the canonical id \"esp32dev\"",
+    "warning $[\"ACME/Sensors\"].notes: unknown field",
+    "warning $[\"acme/gone\"]: library \"acme/gone\" was removed upstream at 2026-01-01T00:00:00.000Z and the entry has no effect",
+  ]);
+});
+
+test("library and board checks are skipped without an index or board list", () => {
+  const problems = validateOverlay([{ owner: "acme", libname: "other", boardCompatibility: { teensy40: { status: "working" } } }]);
+
+  assert.deepEqual(problems, []);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { isEmptyCpp, lintXodball, toQualitySignals } = require("../lib/xodball-lint");
+
+function patch(nodeTypes, extra = {}) {
+  return {
+    nodes: Object.fromEntries(nodeTypes.map((type, i) => [`n${i}`, { id: `n${i}`, type }])),
+    description: "Does something",
+    ...extra,
+  };
+}
+
+function cpp(content, encoding = "utf-8") {
+  return [{ filename: "patch.cpp", encoding, content }];
+}
+
+const IMPLEMENTED = "struct State {};\n\n{{ GENERATED_CODE }}\n\nvoid evaluate(Context ctx) {\n  emitValue<output_OUT>(ctx, 42);\n}\n";
+const TEMPLATE = "\nstruct State {\n};\n\n{{ GENERATED_CODE }}\n\nvoid evaluate(Context ctx) {\n    // The actual code\n}\n";
+
+test("a well-formed library has no issues", () => {
+  const report = lintXodball({
+    patches: {
+      "@/main": patch(["alice/blinker/blink", "@/point", "@/input-point", "xod/core/clock"]),
+      "@/blink": patch(["xod/patch-nodes/not-implemented-in-xod"], { attachments: cpp(IMPLEMENTED) }),
+      "@/point": patch(["xod/patch-nodes/not-implemented-in-xod"], {
+        attachments: cpp(Buffer.from(IMPLEMENTED).toString("base64"), "base64"),
+      }),
+      "@/helper": patch(["xod/patch-nodes/utility"], { description: "" }),
+    },
+  }, "alice/blinker");
+
+  assert.deepEqual(report, { errors: 0, warnings: 0, issues: [] });
+  assert.deepEqual(toQualitySignals(report), { hasDescriptions: true, lintErrors: 0, lintWarnings: 0 });
+});
+
+test("structural problems, empty C++ and unresolved types are errors", () => {
+  const report = lintXodball({
+    patches: {
+      "@/main": {
+        nodes: { a: { id: "a", type: "@/missing" }, b: { id: "b" } },
+        links: {
+          l1: { output: { nodeId: "a", pinKey: "x" }, input: { nodeId: "gone", pinKey: "y" } },
+          l2: { output: { nodeId: "a" } },
+        },
+      },
+      "@/stub": patch(["xod/patch-nodes/not-implemented-in-xod"], { attachments: cpp(TEMPLATE) }),
+      "@/bare": patch(["xod/patch-nodes/not-implemented-in-xod"], { attachments: "patch.cpp" }),
+      "@/broken": null,
+    },
+  }, "alice/blinker");
+
+  assert.deepEqual(
+    report.issues.map((item) => [item.patch, item.rule, item.node || item.link || null]),
+    [
+      ["@/bare", "invalid-attachment", null],
+      ["@/bare", "empty-cpp", null],
+      ["@/broken", "invalid-structure", null],
+      ["@/main", "unresolved-node-type", "a"],
+      ["@/main", "invalid-node", "b"],
+      ["@/main", "dangling-link", "l1"],
+      ["@/main", "invalid-link", "l2"],
+      ["@/main", "missing-description", null],
+      ["@/stub", "empty-cpp", null],
+    ]
+  );
+  assert.equal(report.errors, 8);
+  assert.deepEqual(toQualitySignals(report), { hasDescriptions: false, lintErrors: 8, lintWarnings: 1 });
+  assert.deepEqual(lintXodball({ name: "no-patches" }, "alice/blinker").issues.map((item) => item.rule), [
+    "invalid-structure",
+  ]);
+});
+
+test("isEmptyCpp only matches generated stubs", () => {
+  assert.equal(isEmptyCpp(""), true);
+  assert.equal(isEmptyCpp(TEMPLATE), true);
+  assert.equal(isEmptyCpp("node {\n  void evaluate(Context ctx) {\n  }\n}\n"), true);
+  assert.equal(isEmptyCpp(IMPLEMENTED), false);
+});
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+const fs = require("fs").promises;
+const path = require("path");
+const { parseArgs } = require("util");
+const { childPath, listOverlayEntries } = require("./lib/overlay");
+const { getValidator } = require("./lib/schema");
+const overlaySchema = require("../schemas/overlay.schema.json");
+const { BOARD_LIST_PATH, readBoardList, createBoardResolver } = require("./lib/boards");
+
+const INDEX_PATH = path.resolve(__dirname, "..", "index", "index.json");
+const OVERLAY_PATH = path.resolve(__dirname, "..", "index", "overlay.json");
+const SUMMARY_LISTS = {
+  workingBoards: "working",
+  brokenBoards: "broken",
+  untestedBoards: "untested",
+};
+const ENTRY_SCHEMA = overlaySchema.definitions.entry;
+const KNOWN_FIELDS = Object.keys(ENTRY_SCHEMA.properties);
+const KNOWN_BOARD_FIELDS = Object.keys(ENTRY_SCHEMA.properties.boardCompatibility.additionalProperties.properties);
+const KNOWN_QUALITY_FIELDS = Object.keys(ENTRY_SCHEMA.properties.quality.properties);
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value.trim() !== "";
+}
+
+function describe(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value === "string" ? JSON.stringify(value) : typeof value;
+}
+
+function createReporter() {
+  const problems = [];
+  const report = (severity) => (id, jsonPath, message) => {
+    problems.push({ severity, id, path: jsonPath, message });
+  };
+  return { problems, error: report("error"), warning: report("warning") };
+}
+
+function pathFromPointer(jsonPath, pointer) {
+  return pointer
+    .split("/")
+    .slice(1)
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((acc, segment) => childPath(acc, /^\d+$/.test(segment) ? Number(segment) : segment), jsonPath);
+}
+
+// Types and allowed values come from schemas/overlay.schema.json; everything
+// below only adds the checks a schema cannot express.
+function checkEntrySchema(reporter, id, jsonPath, entry) {
+  const validate = getValidator("overlay", "#/definitions/entry");
+  if (validate(entry)) return;
+  validate.errors.forEach((error) => {
+    const message = error.keyword === "enum"
+      ? `${error.message}: ${error.params.allowedValues.join(", ")}`
+      : error.message;
+    reporter.error(id, pathFromPointer(jsonPath, error.instancePath), message);
+  });
+}
+
+function warnUnknownFields(reporter, id, jsonPath, value, knownFields) {
+  Object.keys(value)
+    .filter((key) => !knownFields.includes(key))
+    .forEach((key) => reporter.warning(id, childPath(jsonPath, key), "unknown field"));
+}
+
+// Returns the canonical board id, or null when the board is unknown.
+function checkBoardId(reporter, id, jsonPath, boardId, resolveBoard) {
+  if (!resolveBoard || !isNonEmptyString(boardId)) return boardId;
+  const canonical = resolveBoard(boardId);
+  if (!canonical) {
+    reporter.error(id, jsonPath, `unknown board ${describe(boardId)}, add it to index/board-list.json or use a listed id`);
+  } else if (canonical !== boardId) {
+    reporter.warning(id, jsonPath, `board ${describe(boardId)} is an alias, use the canonical id "${canonical}"`);
+  }
+  return canonical;
+}
+
+function checkBoardCompatibility(reporter, id, jsonPath, value, resolveBoard) {
+  const seenBoards = new Map();
+  Object.keys(value).forEach((boardId) => {
+    const entryPath = childPath(jsonPath, boardId);
+    const entry = value[boardId];
+    if (!isNonEmptyString(boardId)) {
+      reporter.error(id, entryPath, "board id must be a non-empty string");
+    }
+    const canonical = checkBoardId(reporter, id, entryPath, boardId, resolveBoard);
+    if (canonical && seenBoards.has(canonical)) {
+      reporter.error(id, entryPath, `board ${describe(boardId)} is the same board as ${describe(seenBoards.get(canonical))}`);
+    } else if (canonical) {
+      seenBoards.set(canonical, boardId);
+    }
+    if (isPlainObject(entry)) warnUnknownFields(reporter, id, entryPath, entry, KNOWN_BOARD_FIELDS);
+  });
+}
+
+function checkCompatibilitySummary(reporter, id, jsonPath, value, boardCompatibility, resolveBoard) {
+  warnUnknownFields(reporter, id, jsonPath, value, Object.keys(SUMMARY_LISTS));
+  Object.keys(SUMMARY_LISTS).forEach((key) => {
+    const listPath = childPath(jsonPath, key);
+    if (!Array.isArray(value[key])) return;
+    value[key].forEach((boardId, i) => checkBoardId(reporter, id, childPath(listPath, i), boardId, resolveBoard));
+    if (!isPlainObject(boardCompatibility)) return;
+
+    value[key].forEach((boardId, i) => {
+      const entry = boardCompatibility[boardId];
+      if (isPlainObject(entry) && entry.status !== SUMMARY_LISTS[key]) {
+        reporter.warning(
+          id,
+          childPath(listPath, i),
+          `board ${describe(boardId)} has status ${describe(entry.status)} in boardCompatibility`
+        );
+      }
+    });
+  });
+}
+
+function checkEntry(reporter, id, jsonPath, entry, resolveBoard) {
+  checkEntrySchema(reporter, id, jsonPath, entry);
+  if (!isPlainObject(entry)) return;
+
+  const at = (key) => childPath(jsonPath, key);
+  if (isPlainObject(entry.boardCompatibility)) {
+    checkBoardCompatibility(reporter, id, at("boardCompatibility"), entry.boardCompatibility, resolveBoard);
+  }
+  if (isPlainObject(entry.compatibilitySummary)) {
+    checkCompatibilitySummary(
+      reporter,
+      id,
+      at("compatibilitySummary"),
+      entry.compatibilitySummary,
+      entry.boardCompatibility,
+      resolveBoard
+    );
+  }
+  if (isPlainObject(entry.quality)) {
+    warnUnknownFields(reporter, id, at("quality"), entry.quality, KNOWN_QUALITY_FIELDS);
+  }
+  warnUnknownFields(reporter, id, jsonPath, entry, KNOWN_FIELDS);
+}
+
+function toRemovedIds(removedData) {
+  const libraries = removedData && Array.isArray(removedData.libraries) ? removedData.libraries : [];
+  return new Map(libraries.filter((entry) => entry && entry.id).map((entry) => [entry.id, entry.removedAt]));
+}
+
+// `indexData` (index/index.json) enables the library id checks, `boardList`
+// (index/board-list.json) the board id checks and `removedData`
+// (index/removed.json) the warnings for tombstoned libraries.
+function validateOverlay(parsed, indexData = null, boardList = null, removedData = null) {
+  const reporter = createReporter();
+  const knownIds = indexData ? new Set(indexData.libraries.map((lib) => lib.id)) : null;
+  const removedIds = toRemovedIds(removedData);
+  const resolveBoard = boardList ? createBoardResolver(boardList) : null;
+  const entries = listOverlayEntries(parsed);
+
+  if (!entries) {
+    reporter.error(null, "$", "overlay must be an object keyed by library id, an array of records, or { \"libraries\": [] }");
+    return reporter.problems;
+  }
+
+  const seen = new Map();
+  entries.forEach((entry) => {
+    if (!entry.id) {
+      reporter.error(
+        entry.rawId,
+        entry.path,
+        entry.rawId === null
+          ? "record has no valid \"id\" (or \"owner\"/\"libname\") and would be ignored"
+          : `key ${describe(entry.rawId)} is not a valid owner/lib id and would be ignored`
+      );
+      return;
+    }
+    if (entry.rawId !== null && entry.rawId !== entry.id) {
+      reporter.warning(entry.id, entry.path, `key ${describe(entry.rawId)} is normalized to "${entry.id}"`);
+    }
+    if (seen.has(entry.id)) {
+      reporter.error(entry.id, entry.path, `duplicate entry for "${entry.id}", ${seen.get(entry.id)} would be overridden`);
+    }
+    seen.set(entry.id, entry.path);
+    if (knownIds && !knownIds.has(entry.id) && removedIds.has(entry.id)) {
+      reporter.warning(entry.id, entry.path, `library "${entry.id}" was removed upstream at ${removedIds.get(entry.id)} and the entry has no effect`);
+    } else if (knownIds && !knownIds.has(entry.id)) {
+      reporter.error(entry.id, entry.path, `library "${entry.id}" is not in index/index.json and the entry would be dropped`);
+    }
+    checkEntry(reporter, entry.id, entry.path, entry.record, resolveBoard);
+  });
+
+  return reporter.problems;
+}
+
+async function readRemovedData(indexPath) {
+  try {
+    return await readJsonFile(path.join(path.dirname(indexPath), "removed.json"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+async function readJsonFile(filePath) {
+  const raw = await fs.readFile(filePath, "utf8");
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${filePath}: ${error.message}`);
+  }
+}
+
+function parseCli(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      overlay: { type: "string" },
+      index: { type: "string" },
+      "board-list": { type: "string" },
+      json: { type: "boolean", default: false },
+    },
+  });
+
+  return {
+    overlayPath: values.overlay ? path.resolve(values.overlay) : OVERLAY_PATH,
+    indexPath: values.index ? path.resolve(values.index) : INDEX_PATH,
+    boardListPath: values["board-list"] ? path.resolve(values["board-list"]) : BOARD_LIST_PATH,
+    json: values.json,
+  };
+}
+
+async function run(options) {
+  const overlay = await readJsonFile(options.overlayPath);
+  const indexData = await readJsonFile(options.indexPath);
+  if (!indexData || !Array.isArray(indexData.libraries)) {
+    throw new Error(`Invalid index file at ${options.indexPath}`);
+  }
+
+  const problems = validateOverlay(
+    overlay,
+    indexData,
+    await readBoardList(options.boardListPath),
+    await readRemovedData(options.indexPath)
+  );
+  const errors = problems.filter((problem) => problem.severity === "error");
+  const warnings = problems.filter((problem) => problem.severity === "warning");
+
+  if (options.json) {
+    console.log(JSON.stringify({ errors, warnings }, null, 2));
+  } else {
+    problems.forEach((problem) => {
+      const log = problem.severity === "error" ? console.error : console.warn;
+      log(`${problem.severity}: ${problem.id || "-"} ${problem.path}: ${problem.message}`);
+    });
+    console.log(`Overlay validation: ${errors.length} error(s), ${warnings.length} warning(s)`);
+  }
+
+  if (errors.length > 0) process.exitCode = 1;
+  return { errors, warnings };
+}
+
+if (require.main === module) {
+  Promise.resolve()
+    .then(() => run(parseCli(process.argv.slice(2))))
+    .catch((error) => {
+      console.error(`Overlay validation failed: ${error.message}`);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { validateOverlay, run };